@@ -1,6 +1,6 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
-import L from "leaflet";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, CircleMarker } from "react-leaflet";
+import { Link, useLocation, useMatch, useNavigate } from "react-router-dom";
 import "leaflet/dist/leaflet.css";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -10,7 +10,57 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Slider } from "@/components/ui/slider";
 import { Badge } from "@/components/ui/badge";
 import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet";
-import { Search, Filter, MapPin, Loader2, Film, Layers, Scale, Car } from "lucide-react";
+import { Search, Filter, MapPin, Loader2, Film, Layers, Plus, Check, Clapperboard, X, LocateFixed, Upload, Pencil, Palette, Languages, Scan, BarChart3, ArrowUpDown, Route, Printer, History } from "lucide-react";
+import ItineraryPanel from "@/components/ItineraryPanel";
+import VirtualCardList from "@/components/VirtualCardList";
+import MarkerClusterLayer from "@/components/MarkerClusterLayer";
+import ShowIcon from "@/components/ShowIcon";
+import LocationDetail from "@/components/LocationDetail";
+import MapFocus from "@/components/MapFocus";
+import MapViewport from "@/components/MapViewport";
+import MapLegend from "@/components/MapLegend";
+import PrivacyNotice from "@/components/PrivacyNotice";
+import EpisodeBrowser from "@/components/EpisodeBrowser";
+import StatsDashboard from "@/components/StatsDashboard";
+import TourBooklet from "@/components/TourBooklet";
+import SceneTimeline from "@/components/SceneTimeline";
+import ExportButtons from "@/components/ExportButtons";
+import DatasetImport from "@/components/DatasetImport";
+import LocationEditor from "@/components/LocationEditor";
+import CoordinatePicker from "@/components/CoordinatePicker";
+import MarkButtons from "@/components/MarkButtons";
+import SeriesProgress from "@/components/SeriesProgress";
+import Highlight, { MatchSnippet } from "@/components/Highlight";
+import { useUrlState, intParam } from "@/hooks/useUrlState";
+import { useGeolocation } from "@/hooks/useGeolocation";
+import { useDebouncedValue } from "@/hooks/useDebouncedValue";
+import { useLocationMarks } from "@/hooks/useLocationMarks";
+import { useInfiniteList } from "@/hooks/useInfiniteList";
+import { useTheme } from "@/hooks/useTheme";
+import { useI18n } from "@/hooks/useI18n";
+import {
+  API_BASE,
+  API_MOCK,
+  createLocation,
+  deleteLocation,
+  getAllLocations,
+  getLocation,
+  getLocationsPage,
+  paginate,
+  updateLocation,
+} from "@/lib/locationsApi";
+import { draftCoords, fromDraft, toDraft } from "@/lib/locationForm";
+import { buildSearchIndex, searchLocations } from "@/lib/search";
+import { KM_PER_MILE, bboxCenter, bboxParam, formatDistance, hasCoords, haversineKm, mapsUrl, parseBbox } from "@/lib/geo";
+import { accessLabel, mapLocation } from "@/lib/locations";
+import { buildEpisodeIndex, episodeKeyLabel, hasEpisode } from "@/lib/episodes";
+import { THEMES, THEME_CHOICES, themeCss } from "@/lib/themes";
+import { markerIcon } from "@/lib/markerIcons";
+import { inPublicBbox, queryBbox, withPrivacy } from "@/lib/privacy";
+import { SORTS, SORT_KEYS, isServerSorted, sortComparator } from "@/lib/sorting";
+import { decodeTour } from "@/lib/tourLink";
+import { buildTimeline } from "@/lib/timeline";
+import { LOCALES } from "@/lib/i18n";
 
 /**
  * Breaking Bad / Better Call Saul Tour UI (High-Contrast BrBa Theme)
@@ -20,283 +70,539 @@ import { Search, Filter, MapPin, Loader2, Film, Layers, Scale, Car } from "lucid
  *  - Buttons restyled (solid + outline) for readability
  *  - Inputs/cards use darker panels and brighter text
  *  - Map switched to dark tiles; popup styled to match
+ *  - Light and high-contrast themes (src/lib/themes.js) swap the --bb-* vars,
+ *    the emerald scale and the map tiles; "System" follows the OS preference
+ *  - UI strings come from src/locales (English, Spanish) via useI18n
+ *  - "Follow map" mode loads whatever lies inside the map view (bbox param)
+ *  - Cards and markers are linked: hover/click a card to find its marker,
+ *    click a marker to find its card
+ *  - Private homes/complexes (src/lib/privacy.js) are shown as an approximate
+ *    circle without street address or maps link, except in curate mode
+ *  - Results sort by name/city/episodes/series/distance (src/lib/sorting.js),
+ *    on the server when the API honors `sort`
+ *  - Itinerary share links (?tour=…) with an in-app QR code open exactly
+ *    those stops, in order
+ *  - /print lays the itinerary (or visible results) out as a paper booklet;
+ *    print CSS switches to the light theme and drops the app chrome
+ *  - /timeline lists every scene by series/season/episode and can play
+ *    through their locations on the map
+ *  - /stats shows a catalog dashboard (series, access, cities, episodes)
+ *  - Markers are bundled pins (src/lib/markerStyles.js) colored by series and
+ *    badged by access level, explained by the map legend
  */
 
-// Small helper to render show-specific icons in results
-function ShowIcon({ show }) {
-  const s = String(show || "").toLowerCase();
+// Client-side route for a single location
+const LOCATION_ROUTE = "/locations/:id";
+const locationPath = (id) => `/locations/${encodeURIComponent(id)}`;
+// Catalog statistics dashboard (replaces the map + list)
+const STATS_ROUTE = "/stats";
+// Printable booklet of the itinerary (or the visible results)
+const PRINT_ROUTE = "/print";
+// Every scene in story order, in place of the results list
+const TIMELINE_ROUTE = "/timeline";
 
-  if (s.includes("breaking bad")) {
-    return (
-      <span className="flex items-center gap-[2px]" title="Breaking Bad" aria-label="Breaking Bad">
-        <span className="bb-show-tile">Br</span>
-      </span>
-    );
-  }
-  if (s.includes("better call saul")) {
-    return (
-      <span className="bb-show-pill" title="Better Call Saul" aria-label="Better Call Saul">
-        <Scale className="h-3 w-3" />
-        <span className="sr-only">Better Call Saul</span>
-      </span>
-    );
-  }
-  if (s.includes("el camino")) {
-    return (
-      <span className="bb-show-pill" title="El Camino" aria-label="El Camino">
-        <Car className="h-3 w-3" />
-        <span className="sr-only">El Camino</span>
-      </span>
-    );
-  }
-  // Fallback: initials pill (e.g., “M” for Metástasis)
-  const initials =
-    String(show || "?")
-      .split(/\s+/)
-      .map((w) => w[0])
-      .join("")
-      .slice(0, 3)
-      .toUpperCase();
+// UI state mirrored in the query string (see useUrlState)
+const URL_FIELDS = {
+  query: { param: "q", defaultValue: "" },
+  size: { param: "size", defaultValue: 20, parse: intParam(5, 50) },
+  seriesFilter: { param: "series", defaultValue: "" },
+  accessFilter: { param: "access", defaultValue: "" },
+  episodeFilter: { param: "ep", defaultValue: "" },
+  markFilter: { param: "mark", defaultValue: "" }, // "visited" | "unvisited" | "favorites"
+  followMap: { param: "view", defaultValue: false, parse: (raw) => raw === "map", serialize: () => "map" },
+  sort: { param: "sort", defaultValue: "", parse: (raw) => (SORT_KEYS.includes(raw) ? raw : "") }, // see lib/sorting.js
+  tour: { param: "tour", defaultValue: "" }, // shared stop list, see lib/tourLink.js
+};
 
-  return (
-    <span className="bb-show-pill" title={String(show)} aria-label={String(show)}>
-      {initials}
-    </span>
-  );
+// Initial map view when nothing tells us better
+const ALBUQUERQUE = [35.0844, -106.6504];
+
+// Case-insensitive name search, mirroring the API's `name` param
+const matchesName = (raw, q) => !q || String(raw?.name ?? "").toLowerCase().includes(q.trim().toLowerCase());
+
+// Visited/favorite predicate; `marks` is { visited, favorite } keyed by id
+function matchesMark(raw, mark, marks) {
+  if (!mark || !marks) return true;
+  const id = raw?._id ?? raw?.id;
+  if (mark === "favorites") return Boolean(marks.favorite[id]);
+  return mark === "visited" ? Boolean(marks.visited[id]) : !marks.visited[id];
 }
 
-// Fix default Leaflet icon
-const DefaultIcon = new L.Icon({
-  iconUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png",
-  iconRetinaUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png",
-  shadowUrl: "https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png",
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41],
-});
-L.Marker.prototype.options.icon = DefaultIcon;
-
-const toNumber = (v) => {
-  const n = typeof v === "string" ? parseFloat(v) : v;
-  return Number.isFinite(n) ? n : null;
-};
+// Series/access/episode/mark/bbox predicate on the raw schema
+const matchesFilters = (raw, { series, access, episode, mark, marks, bbox }) =>
+  (!bbox || inPublicBbox(mapLocation(raw), bbox)) &&
+  (!series || (Array.isArray(raw?.series) && raw.series.includes(series))) &&
+  (!access || raw?.access === access) &&
+  (!episode || hasEpisode(raw, episode)) &&
+  matchesMark(raw, mark, marks);
 
-const API_BASE = import.meta.env.VITE_API_BASE ?? ""; // e.g., http://localhost:8080
-
-// Friendly label for access
-const accessLabel = (a) =>
-  ({
-    public_business: "Public Business",
-    private_residence: "Private Residence",
-    private_business: "Private Business",
-    public_area: "Public Area",
-    restricted: "Restricted",
-    private_complex: "Private Complex",
-    public_land: "Public Land",
-  }[a] ?? (a ? String(a) : "Unknown"));
-
-// Flatten episodes list from scenes
-const episodesFromScenes = (scenes) => {
-  const set = new Set();
-  (Array.isArray(scenes) ? scenes : []).forEach((s) => {
-    (Array.isArray(s.episodes) ? s.episodes : []).forEach((e) => set.add(String(e)));
-  });
-  return Array.from(set);
-};
+// Raw document → UI location as the public may see it. Curate mode included:
+// the toggle is open to anyone, so only the editor form sees exact data.
+const toLocation = (raw) => withPrivacy(mapLocation(raw));
 
-// Map raw schema → UI shape
-function mapLocation(raw) {
-  const coords = Array.isArray(raw?.geolocation?.coordinates)
-    ? raw.geolocation.coordinates
-    : [null, null];
-  const lng = toNumber(coords[0]);
-  const lat = toNumber(coords[1]);
-  return {
-    id: raw._id ?? raw.id ?? Math.random().toString(36).slice(2),
-    name: raw.name ?? "Untitled",
-    series: Array.isArray(raw.series) ? raw.series : [],
-    address: raw.address ?? "",
-    city: raw.city ?? "",
-    state: raw.state ?? "",
-    notes: raw.notes ?? "",
-    scenes: Array.isArray(raw.scenes) ? raw.scenes : [],
-    access: raw.access ?? "",
-    lat,
-    lng,
-    episodes: episodesFromScenes(raw.scenes),
-  };
-}
+// Radius slider position that means "no distance limit"
+const RADIUS_ANY = 100;
 
 export default function BreakingBadTourUI() {
   // Inject small theme overrides safely
   const styles = `
-  :root{
-    --bb-bg:#0a120d;           /* page background */
-    --bb-panel:#0c1511;        /* cards/panels */
-    --bb-panel-2:#0e1914;      /* alt panel */
-    --bb-border:rgba(16,185,129,.28);
-    --bb-text:#eafff4;         /* primary text */
-    --bb-muted:#9fb2a7;        /* muted text */
-    --bb-accent:#10b981;       /* emerald-500 */
-    --bb-accent-2:#34d399;     /* emerald-400 */
-  }
+  ${themeCss()}
   html,body{ background:var(--bb-bg); }
   main[data-bb-layout]{ height:var(--bb-app-h, auto); }
-  .bb-header{ background:rgba(7,16,12,.85); backdrop-filter: blur(8px); }
-  .bb-card{ background:color-mix(in oklab, var(--bb-panel) 94%, black 6%); border-color:var(--bb-border); }
-  .bb-card-ghost{ background:color-mix(in oklab, var(--bb-panel-2) 92%, black 8%); border-color:var(--bb-border); }
+  .bb-header{ background:var(--bb-header-bg); backdrop-filter: blur(8px); }
+  .bb-card{ background:color-mix(in oklab, var(--bb-panel) 94%, var(--bb-shade) 6%); border-color:var(--bb-border); }
+  .bb-card-ghost{ background:color-mix(in oklab, var(--bb-panel-2) 92%, var(--bb-shade) 8%); border-color:var(--bb-border); }
   .bb-glow{ box-shadow:0 0 0 1px var(--bb-border) inset; }
   .bb-txt{ color:var(--bb-text); }
   .bb-muted{ color:var(--bb-muted); }
-  .bb-badge{ background:#053a2c; color:#b9f4dc; border:1px solid #0a5c46; }
-  .bb-badge-outline{ color:#b9f4dc; border:1px solid #0a5c46; background:transparent; }
-  .bb-btn{ background:var(--bb-accent); color:#042218; font-weight:700; border:1px solid var(--bb-accent); }
+  .bb-badge{ background:var(--bb-badge-bg); color:var(--bb-badge-text); border:1px solid var(--bb-badge-border); }
+  .bb-badge-outline{ color:var(--bb-badge-text); border:1px solid var(--bb-badge-border); background:transparent; }
+  .bb-btn{ background:var(--bb-accent); color:var(--bb-btn-text); font-weight:700; border:1px solid var(--bb-accent); }
   .bb-btn:hover{ background:var(--bb-accent-2); border-color:var(--bb-accent-2); }
   .bb-btn:focus-visible{ outline:2px solid var(--bb-accent-2); outline-offset:2px; }
-  .bb-btn-outline{ background:transparent; color:#b9f4dc; border:1px solid var(--bb-accent); }
-  .bb-btn-outline:hover{ background:rgba(16,185,129,.1); }
-  .bb-input{ background:rgba(15,23,20,.9) !important; color:var(--bb-text) !important; border-color:#0b3f30 !important; }
-  .bb-input::placeholder{ color:#7aa394; }
-  .leaflet-container{ background:#0b0f0d; }
-  .leaflet-popup-content-wrapper{ background:#0b1110; color:var(--bb-text); border:1px solid #134e3c; box-shadow:0 8px 24px rgba(0,0,0,.45); }
-  .leaflet-popup-tip{ background:#0b1110; }
+  .bb-btn-outline{ background:transparent; color:var(--bb-badge-text); border:1px solid var(--bb-accent); }
+  .bb-btn-outline:hover{ background:var(--bb-btn-hover); }
+  .bb-input{ background:var(--bb-input-bg) !important; color:var(--bb-text) !important; border-color:var(--bb-input-border) !important; }
+  .bb-input::placeholder{ color:var(--bb-placeholder); }
+  .leaflet-container{ background:var(--bb-map-bg); }
+  .leaflet-popup-content-wrapper{ background:var(--bb-popup-bg); color:var(--bb-text); border:1px solid var(--bb-popup-border); box-shadow:0 8px 24px var(--bb-popup-shadow); }
+  .leaflet-popup-tip{ background:var(--bb-popup-bg); border:1px solid var(--bb-popup-border); }
+  .leaflet-container a.leaflet-popup-close-button{ color:var(--bb-muted); }
   /* High-contrast chips for scene/episode badges */
-  .bb-chip{ background:#0a3f30; border:1px solid #0f6e55; color:#eafff4; border-radius:0.375rem; }
-  .bb-chip-muted{ background:#0a2c24; border:1px solid #0d4c3b; color:#d4fff0; }
-  .bb-scene-text{ color:#eafff4; }
+  .bb-chip{ background:var(--bb-chip-bg); border:1px solid var(--bb-chip-border); color:var(--bb-chip-text); border-radius:0.375rem; }
+  .bb-chip-muted{ background:var(--bb-chip-muted-bg); border:1px solid var(--bb-chip-muted-border); color:var(--bb-chip-muted-text); }
+  .bb-scene-text{ color:var(--bb-text); }
     .bb-show-tile{ display:inline-grid; place-items:center; width:1.1rem; height:1.1rem;
-    font-weight:800; font-size:10px; line-height:1; background:#064e3b; color:#d1fae5;
-    border:1px solid #0a7a5e; border-radius:0.25rem; }
+    font-weight:800; font-size:10px; line-height:1; background:var(--bb-tile-bg); color:var(--bb-tile-text);
+    border:1px solid var(--bb-tile-border); border-radius:0.25rem; }
   .bb-show-pill{ display:inline-flex; align-items:center; gap:.25rem; height:1.1rem; padding:0 .375rem;
-    font-weight:700; font-size:10px; line-height:1; background:#052a22; color:#b9f4dc;
-    border:1px solid #0a5c46; border-radius:9999px; }
+    font-weight:700; font-size:10px; line-height:1; background:var(--bb-pill-bg); color:var(--bb-badge-text);
+    border:1px solid var(--bb-badge-border); border-radius:9999px; }
+  /* Search hit highlight */
+  .bb-mark{ background:var(--bb-mark); color:inherit; border-radius:2px; padding:0 1px; }
+  /* Editor coordinate pin */
+  .bb-pick-icon{ background:transparent; border:0; }
+  .bb-pick-pin{ width:22px; height:22px; border-radius:50% 50% 50% 0; transform:rotate(-45deg);
+    background:#f59e0b; border:3px solid var(--bb-popup-bg); box-shadow:0 0 0 2px #f59e0b, 0 4px 10px rgba(0,0,0,.5); cursor:grab; }
+  /* Marker clusters: series-mix ring around a dark count bubble */
+  .bb-cluster-icon{ background:transparent; border:0; }
+  .bb-cluster{ position:relative; display:grid; place-items:center; border-radius:9999px; cursor:pointer;
+    box-shadow:0 2px 10px rgba(0,0,0,.55); }
+  .bb-cluster::before{ content:""; position:absolute; inset:5px; border-radius:9999px; background:var(--bb-popup-bg); }
+  /* Location pins: series fill, access badge + outline (see markerStyles.js) */
+  .bb-pin-icon{ background:transparent; border:0; }
+  .bb-pin{ position:relative; width:30px; height:30px; border-radius:50% 50% 50% 0; transform:rotate(-45deg);
+    box-shadow:0 3px 8px rgba(0,0,0,.5); cursor:pointer; }
+  .bb-pin-face{ position:absolute; inset:0; display:grid; place-items:center; transform:rotate(45deg); }
+  .bb-pin-access{ position:absolute; top:-4px; right:-4px; display:grid; place-items:center; width:14px; height:14px;
+    border-radius:9999px; background:var(--bb-popup-bg); color:var(--bb-text); border:1px solid var(--bb-popup-border); }
+  .bb-pin-solid{ border:2px solid var(--bb-text); }
+  .bb-pin-dashed{ border:2px dashed var(--bb-text); }
+  .bb-pin-double{ border:4px double #ef4444; }
+  .bb-pin-double .bb-pin-access{ color:#ef4444; border-color:#ef4444; }
+  .bb-legend{ background:var(--bb-popup-bg); border:1px solid var(--bb-popup-border); box-shadow:0 8px 24px var(--bb-popup-shadow); }
+  .bb-legend .bb-pin{ flex:none; width:22px; height:22px; margin:0 2px 4px; border:2px solid var(--bb-text); cursor:default; }
+  .bb-legend-swatch{ flex:none; display:grid; place-items:center; width:20px; height:20px; margin:0 3px; border-radius:9999px; }
+  .bb-legend-swatch.bb-pin-double{ color:#ef4444; }
+  .bb-marker-active{ filter:drop-shadow(0 0 6px var(--bb-accent-2)) brightness(1.15); }
+  .bb-cluster-active .bb-cluster{ box-shadow:0 0 0 3px var(--bb-accent-2), 0 2px 10px rgba(0,0,0,.55); }
+  .bb-spider-leg{ stroke:var(--bb-accent-2); }
+  /* Booklet (see TourBooklet): numbered stops, page breaks and paper colors */
+  .bb-num-icon{ background:transparent; border:0; }
+  .bb-num-pin{ display:inline-grid; place-items:center; width:24px; height:24px; border-radius:9999px; font-weight:800; font-size:12px;
+    background:var(--bb-accent); color:var(--bb-btn-text); border:2px solid var(--bb-popup-bg); box-shadow:0 2px 6px rgba(0,0,0,.45); }
+  @media print{
+    @page{ margin:12mm; }
+    html, body{ background:#fff; }
+    .bb-booklet{ -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+    .bb-booklet-cover{ break-after:page; }
+    .bb-booklet-stop{ break-inside:avoid; box-shadow:none; }
+  }
+  .bb-privacy-circle{ stroke:var(--bb-accent-2); fill:var(--bb-accent-2); fill-opacity:.12; }
+  .bb-cluster-count{ position:relative; font-weight:800; font-size:13px; color:var(--bb-text); }
+  .bb-cluster-mix{ position:absolute; top:100%; left:50%; transform:translateX(-50%); margin-top:2px; white-space:nowrap;
+    display:flex; align-items:center; gap:2px; padding:1px 4px; border-radius:9999px; font-size:10px; font-weight:700;
+    background:var(--bb-header-bg); color:var(--bb-badge-text); }
 
   `;
 
-  // Server/query state
-  const [query, setQuery] = useState("");
-  const [page, setPage] = useState(0);
-  const [size, setSize] = useState(20);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [pageData, setPageData] = useState({ content: [], totalPages: 0, page: 0, size: 20, totalElements: 0 });
+  const { choice: themeChoice, setChoice: setThemeChoice, theme } = useTheme();
+  const { t, locale, setLocale, formatNumber } = useI18n();
 
-  // Client-side filters (based on your schema)
-  const [seriesFilter, setSeriesFilter] = useState(""); // "Breaking Bad" | "Better Call Saul" | ""
-  const [accessFilter, setAccessFilter] = useState("");
+  // Server/query state (query/size/filters live in the URL)
+  const [urlState, setUrlState] = useUrlState(URL_FIELDS);
+  const { query, size, seriesFilter, accessFilter, episodeFilter, markFilter, followMap, sort, tour } = urlState;
+
+  // Local dataset ({ name, rows }) that replaces the API while loaded
+  const [dataset, setDataset] = useState(null);
+
+  // Curator editor: mode toggle, the draft being edited, and a counter bumped
+  // after every write so the list, catalog and detail view refetch
+  const [editorMode, setEditorMode] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const draftPosition = useMemo(() => draftCoords(draft), [draft]);
+  const pickCoords = useCallback(
+    (ll) => setDraft((d) => (d ? { ...d, lat: ll.lat.toFixed(6), lng: ll.lng.toFixed(6) } : d)),
+    []
+  );
+
+  // Visited/favorite marks (localStorage); only fed to the fetch while filtering by them
+  const marks = useLocationMarks();
+  const filterMarks = useMemo(
+    () => (markFilter ? { visited: marks.visited, favorite: marks.favorite } : null),
+    [markFilter, marks.visited, marks.favorite]
+  );
+
+  // Tour itinerary (ordered stops, kept across pages/searches)
+  const [itinerary, setItinerary] = useState([]);
+
+  // Shared tour link: while set, the list and map show exactly these stops
+  const tourIds = useMemo(() => decodeTour(tour), [tour]);
+  const touring = tourIds.length > 0;
+
+  // "Near me": user position + optional radius (miles) around it
+  const geo = useGeolocation();
+  const origin = geo.position;
+  const [radiusMi, setRadiusMi] = useState(RADIUS_ANY);
+  const radiusKm = origin && radiusMi < RADIUS_ANY ? radiusMi * KM_PER_MILE : null;
+  const inItinerary = (id) => itinerary.some((s) => s.id === id);
+  const toggleStop = (loc) =>
+    setItinerary((stops) => (stops.some((s) => s.id === loc.id) ? stops.filter((s) => s.id !== loc.id) : [...stops, loc]));
+  const routePositions = useMemo(() => itinerary.filter(hasCoords).map((s) => [s.lat, s.lng]), [itinerary]);
+
+  // Typing only reaches the API once the query settles
+  const debouncedQuery = useDebouncedValue(query, 300);
+
+  // "Follow map" and the distance sort track the map view, refetching once
+  // panning/zooming settles: follow mode filters by its bbox, the sort
+  // measures from its center
+  const trackView = followMap || sort === "distance";
+  const [viewBbox, setViewBbox] = useState("");
+  const settledView = useDebouncedValue(trackView ? viewBbox : "", 400);
+  const bbox = followMap ? settledView : "";
+  const sortCenter = useMemo(() => {
+    const view = sort === "distance" ? parseBbox(settledView) : null;
+    return view ? bboxCenter(view) : null;
+  }, [sort, settledView]);
+  const onViewChange = useCallback((bounds) => setViewBbox(bboxParam(bounds)), []);
 
   const params = useMemo(() => {
     const p = new URLSearchParams();
-    if (query) p.set("name", query);
-    p.set("page", String(page));
+    if (debouncedQuery) p.set("name", debouncedQuery);
+    if (seriesFilter) p.set("series", seriesFilter);
+    if (accessFilter) p.set("access", accessFilter);
+    if (bbox) p.set("bbox", bbox);
     p.set("size", String(size));
     return p.toString();
-  }, [query, page, size]);
+  }, [debouncedQuery, seriesFilter, accessFilter, bbox, size]);
 
+  // Whole catalog, for filter options and the episode index (not just the current page)
+  const [apiCatalog, setApiCatalog] = useState([]);
+  const [apiCatalogPending, setApiCatalogPending] = useState(true);
+  const [apiCatalogError, setApiCatalogError] = useState(null);
   useEffect(() => {
     let cancelled = false;
-    (async () => {
-      setLoading(true);
-      setError(null);
-      try {
-        const res = await fetch(`${API_BASE}/api/v1/locations?${params}`);
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
-        if (cancelled) return;
-        const content = Array.isArray(json?.content) ? json.content : Array.isArray(json) ? json : [];
-        const normalized = {
-          content,
-          totalPages: typeof json?.totalPages === "number" ? json.totalPages : 1,
-          page: typeof json?.page === "number" ? json.page : (typeof json?.number === "number" ? json.number : 0),
-          size: typeof json?.size === "number" ? json.size : size,
-          totalElements:
-            typeof json?.totalElements === "number"
-              ? json.totalElements
-              : (Array.isArray(json?.content) ? json.content.length : Array.isArray(json) ? json.length : 0),
-        };
-        setPageData(normalized);
-      } catch (e) {
-        setError(e.message);
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
-    })();
+    setApiCatalogPending(true);
+    setApiCatalogError(null);
+    getAllLocations()
+      .then((all) => !cancelled && setApiCatalog(all))
+      // options fall back to the current page; the dashboard reports it
+      .catch((e) => !cancelled && setApiCatalogError(e.message))
+      .finally(() => !cancelled && setApiCatalogPending(false));
     return () => {
       cancelled = true;
     };
-  }, [params, size]);
+  }, [revision]);
+  const catalog = dataset ? dataset.rows : apiCatalog;
+  const facets = useMemo(
+    () => ({
+      series: catalog.flatMap((raw) => (Array.isArray(raw.series) ? raw.series : [])),
+      access: catalog.map((raw) => raw.access),
+    }),
+    [catalog]
+  );
+  const episodeIndex = useMemo(() => buildEpisodeIndex(catalog), [catalog]);
+
+  // Fuzzy search over the loaded catalog; the API `name` param is only the
+  // fallback while the catalog is unavailable
+  const searchIndex = useMemo(() => (catalog.length ? buildSearchIndex(catalog) : null), [catalog]);
+  const searchHits = useMemo(
+    () => (debouncedQuery.trim() && searchIndex ? searchLocations(searchIndex, debouncedQuery) : null),
+    [debouncedQuery, searchIndex]
+  );
+  const matchById = useMemo(() => new Map((searchHits ?? []).map((h) => [h.id, h.match])), [searchHits]);
 
-  const locations = useMemo(() => pageData.content.map(mapLocation), [pageData]);
+  // Flip to false once the backend is seen ignoring series/access/bbox params;
+  // sort keys it was seen ignoring are listed separately
+  const serverFilters = useRef(true);
+  const serverIgnoredSorts = useRef(new Set());
 
-  // Apply client-side filters for series & access
+  // One page of results: from the API when it can answer the query, else
+  // filtered and paginated here from the whole catalog
+  const fetchPage = useCallback(
+    async (pageIndex, signal) => {
+      if (touring) {
+        const all = dataset ? dataset.rows : await getAllLocations();
+        const byId = new Map(all.map((raw) => [String(raw._id ?? raw.id), raw]));
+        // One page with every stop, so the whole tour is pinned on the map
+        const stops = tourIds.map((id) => byId.get(id)).filter(Boolean);
+        return paginate(stops, 0, Math.max(1, stops.length));
+      }
+      const filters = {
+        series: seriesFilter,
+        access: accessFilter,
+        episode: episodeFilter,
+        mark: markFilter,
+        marks: filterMarks,
+        bbox: parseBbox(bbox),
+      };
+      const filtering = Boolean(seriesFilter || accessFilter || bbox);
+      const compare = sort ? sortComparator(sort, { center: sortCenter }) : null;
+      const sortOnServer = !sort || (SORTS[sort].server && !serverIgnoredSorts.current.has(sort));
+      // The API has no episode, mark or distance support, so those run here
+      const serverSide =
+        !dataset && !searchHits && !episodeFilter && !markFilter && !origin && (!filtering || serverFilters.current) && sortOnServer;
+      if (serverSide) {
+        const p = new URLSearchParams(params);
+        p.set("page", String(pageIndex));
+        if (sort) p.set("sort", SORTS[sort].server);
+        // The API tests real points, so ask for a margin and trim the answer
+        // here the way private places are shown (see queryBbox)
+        const sentBbox = filters.bbox && queryBbox(filters.bbox);
+        if (sentBbox) p.set("bbox", bboxParam(sentBbox));
+        const normalized = await getLocationsPage(p.toString(), { signal });
+        const filtered = !filtering || normalized.content.every((raw) => matchesFilters(raw, { ...filters, bbox: sentBbox }));
+        const sorted = !sort || isServerSorted(normalized.content, sort);
+        if (filtered && sorted) {
+          // Pages may come out shorter than `size`; totals still count the margin
+          return sentBbox ? { ...normalized, content: normalized.content.filter((raw) => matchesFilters(raw, filters)) } : normalized;
+        }
+        if (!filtered) serverFilters.current = false;
+        if (!sorted) serverIgnoredSorts.current.add(sort);
+      }
+      // Local dataset, or the backend can't filter: page through the whole catalog here
+      const all = searchHits
+        ? searchHits.map((h) => h.raw)
+        : (dataset ? dataset.rows : await getAllLocations()).filter((raw) => matchesName(raw, debouncedQuery));
+      let rows = all.filter((raw) => matchesFilters(raw, filters));
+      if (origin) {
+        rows = rows
+          .map((raw) => {
+            const loc = withPrivacy(mapLocation(raw));
+            return { raw, km: hasCoords(loc) ? haversineKm(origin, loc) : null };
+          })
+          .filter(({ km }) => radiusKm == null || (km != null && km <= radiusKm))
+          .sort((a, b) => (a.km ?? Infinity) - (b.km ?? Infinity))
+          .map(({ raw }) => raw);
+      }
+      // An explicit sort replaces API, relevance and near-me order
+      if (compare) {
+        rows = rows
+          .map((raw) => ({ raw, loc: withPrivacy(mapLocation(raw)) }))
+          .sort((a, b) => compare(a.loc, b.loc))
+          .map(({ raw }) => raw);
+      }
+      return paginate(rows, pageIndex, size);
+    },
+    [params, dataset, searchHits, debouncedQuery, seriesFilter, accessFilter, bbox, episodeFilter, markFilter, filterMarks, origin, radiusKm, size, sort, sortCenter, touring, tourIds]
+  );
+
+  // Infinite list; each distinct query keeps its loaded pages and scroll offset
+  const listKey = useMemo(
+    () =>
+      JSON.stringify([
+        revision,
+        dataset?.loadedAt ?? "api",
+        params,
+        episodeFilter,
+        markFilter,
+        origin && [origin.lat, origin.lng],
+        radiusKm,
+        sort,
+        sortCenter && [sortCenter.lat, sortCenter.lng],
+        tour,
+      ]),
+    [revision, dataset, params, episodeFilter, markFilter, origin, radiusKm, sort, sortCenter, tour]
+  );
+  const results = useInfiniteList(listKey, fetchPage, { cacheable: !markFilter });
+  const { loading, error } = results;
+
+  const locations = useMemo(() => results.items.map(toLocation), [results.items]);
+
+  // Detail route: use the loaded copy when we have one, else fetch by id
+  const routerLocation = useLocation();
+  const detailId = useMatch(LOCATION_ROUTE)?.params.id ?? null;
+  const statsView = Boolean(useMatch(STATS_ROUTE));
+  const printView = Boolean(useMatch(PRINT_ROUTE));
+  const timelineView = Boolean(useMatch(TIMELINE_ROUTE));
+  const detailFromPage = useMemo(() => {
+    if (!detailId) return null;
+    const onPage = locations.find((l) => String(l.id) === detailId);
+    if (onPage || !dataset) return onPage ?? null;
+    const raw = dataset.rows.find((r) => String(r._id ?? r.id) === detailId);
+    return raw ? toLocation(raw) : null;
+  }, [detailId, locations, dataset]);
+  const [fetchedDetail, setFetchedDetail] = useState({ id: null, raw: null, error: null });
+  useEffect(() => {
+    if (!detailId || detailFromPage || dataset) return;
+    const controller = new AbortController();
+    setFetchedDetail({ id: detailId, raw: null, error: null });
+    getLocation(detailId, { signal: controller.signal })
+      .then((raw) => !controller.signal.aborted && setFetchedDetail({ id: detailId, raw, error: null }))
+      .catch((e) => !controller.signal.aborted && setFetchedDetail({ id: detailId, raw: null, error: e.message }));
+    return () => controller.abort();
+  }, [revision, detailId, detailFromPage, dataset]);
+  const fetchedLocation = useMemo(() => (fetchedDetail.raw ? toLocation(fetchedDetail.raw) : null), [fetchedDetail.raw]);
+  const detailLocation = detailFromPage ?? (fetchedDetail.id === detailId ? fetchedLocation : null);
+  const detailLoading = Boolean(detailId && !detailFromPage && fetchedDetail.id === detailId && !fetchedDetail.raw && !fetchedDetail.error);
+
+  const navigate = useNavigate();
+  const saveDraft = async (d) => {
+    const body = fromDraft(d);
+    const saved = d.id ? await updateLocation(d.id, body) : await createLocation(body);
+    const updated = withPrivacy(mapLocation({ ...body, ...(saved ?? {}), _id: saved?._id ?? saved?.id ?? d.id }));
+    setItinerary((stops) => stops.map((s) => (s.id === d.id ? updated : s)));
+    setDraft(null);
+    setRevision((r) => r + 1);
+  };
+  // The form gets the exact document (coordinates, address), not the card's blurred copy
+  const editLocation = (loc) => {
+    const raw = results.items.find((r) => String(r._id ?? r.id) === String(loc.id));
+    if (raw) setDraft(toDraft(mapLocation(raw)));
+  };
+  const removeDraft = async (d) => {
+    await deleteLocation(d.id);
+    setItinerary((stops) => stops.filter((s) => s.id !== d.id));
+    setDraft(null);
+    setRevision((r) => r + 1);
+    if (detailId === String(d.id)) navigate({ pathname: "/", search: routerLocation.search });
+  };
+
+  // Results arrive filtered; this only guards against partially honored params
   const visible = useMemo(() => {
+    if (touring) return locations;
     let arr = locations;
     if (seriesFilter) arr = arr.filter((l) => l.series?.includes(seriesFilter));
     if (accessFilter) arr = arr.filter((l) => l.access === accessFilter);
+    if (episodeFilter) arr = arr.filter((l) => hasEpisode(l, episodeFilter));
+    if (markFilter) arr = arr.filter((l) => matchesMark(l, markFilter, filterMarks));
     return arr;
-  }, [locations, seriesFilter, accessFilter]);
+  }, [locations, seriesFilter, accessFilter, episodeFilter, markFilter, filterMarks, touring]);
+
+  // Distance from the user to each visible location (near-me mode only)
+  const distanceById = useMemo(() => {
+    const m = new Map();
+    if (origin) visible.forEach((l) => hasCoords(l) && m.set(l.id, haversineKm(origin, l)));
+    return m;
+  }, [origin, visible]);
+
+  // Scene timeline: the whole catalog's scenes; the map then shows their locations
+  const timeline = useMemo(() => (timelineView ? buildTimeline(catalog.map(toLocation)) : []), [timelineView, catalog]);
+  const mapLocations = useMemo(
+    () => (timelineView ? Array.from(new Map(timeline.map((e) => [e.location.id, e.location])).values()) : visible),
+    [timelineView, timeline, visible]
+  );
+
+  // Card ⇄ marker linking: the selected location, the hovered card, and the
+  // Leaflet map plus marker instances needed to fly to one and open its popup
+  const [selectedId, setSelectedId] = useState(null);
+  const [hoveredId, setHoveredId] = useState(null);
+  const activeId = hoveredId ?? selectedId;
+  const [map, setMap] = useState(null);
+  const markerRefs = useRef(new Map()); // location id → L.Marker
+  const [popupId, setPopupId] = useState(null);
+  const focusLocation = useCallback(
+    (loc) => {
+      setSelectedId(loc.id);
+      if (!map || !hasCoords(loc)) return;
+      // Clusters re-form on zoomend, so the marker may only exist after this move
+      map.once("moveend", () => setPopupId(loc.id));
+      map.flyTo([loc.lat, loc.lng], Math.max(map.getZoom(), 17), { duration: 0.6 });
+    },
+    [map]
+  );
+  useEffect(() => {
+    if (popupId == null) return;
+    markerRefs.current.get(popupId)?.openPopup();
+    setPopupId(null);
+  }, [popupId]);
 
-  // Map center from visible points, fallback to Albuquerque
+  // Opening a tour link: its stops become the itinerary and the map frames them (once per link)
+  const appliedTour = useRef("");
+  useEffect(() => {
+    if (!touring || !map || !catalog.length || appliedTour.current === tour) return;
+    appliedTour.current = tour;
+    const byId = new Map(catalog.map((raw) => [String(raw._id ?? raw.id), raw]));
+    const stops = tourIds.filter((id) => byId.has(id)).map((id) => toLocation(byId.get(id)));
+    setItinerary(stops);
+    const points = stops.filter(hasCoords).map((s) => [s.lat, s.lng]);
+    if (points.length) map.fitBounds(points, { padding: [40, 40], maxZoom: 16 });
+  }, [touring, tour, tourIds, map, catalog]);
+
+  // Map center from visible points, fallback to Albuquerque. While following
+  // the map the view drives the data, not the other way round.
   const mapCenter = useMemo(() => {
-    const pts = visible.filter((l) => Number.isFinite(l.lat) && Number.isFinite(l.lng));
-    if (!pts.length) return [35.0844, -106.6504];
+    const pts = followMap ? [] : visible.filter((l) => Number.isFinite(l.lat) && Number.isFinite(l.lng));
+    if (!pts.length) return ALBUQUERQUE;
     const avgLat = pts.reduce((s, p) => s + p.lat, 0) / pts.length;
     const avgLng = pts.reduce((s, p) => s + p.lng, 0) / pts.length;
     return [avgLat, avgLng];
-  }, [visible]);
+  }, [followMap, visible]);
 
   const accessOptions = useMemo(() => {
-    const set = new Set(visible.map((l) => l.access).filter(Boolean));
+    const set = new Set([...facets.access, ...locations.map((l) => l.access)].filter(Boolean));
     return Array.from(set).sort();
-  }, [visible]);
+  }, [facets, locations]);
 
   const allSeries = useMemo(() => {
-    const set = new Set();
+    const set = new Set(facets.series);
     locations.forEach((l) => (l.series || []).forEach((s) => set.add(s)));
     return Array.from(set);
-  }, [locations]);
+  }, [facets, locations]);
 
   return (
     <div className="min-h-screen w-full" style={{ background: "var(--bb-bg)", color: "var(--bb-text)" }}>
       {/* theme overrides */}
       <style dangerouslySetInnerHTML={{ __html: styles }} />
 
-      <header className="sticky top-0 z-20 border-b border-emerald-900/40 bb-header">
-        <div className="mx-auto max-w-7xl px-4 py-4 flex items-center gap-3">
+      <header className="sticky top-0 z-20 border-b border-emerald-900/40 bb-header print:hidden">
+        {/* Wraps onto more rows when the buttons do not fit (phones, narrow windows) */}
+        <div className="mx-auto max-w-7xl px-4 py-4 flex flex-wrap items-center gap-x-3 gap-y-2">
           {/* Periodic tiles */}
           <div className="flex items-center gap-2">
             <div className="grid place-items-center w-9 h-9 rounded-md border border-emerald-700 bg-emerald-900/60 text-emerald-100 font-extrabold leading-none">Br</div>
             <div className="grid place-items-center w-9 h-9 rounded-md border border-emerald-700 bg-emerald-900/60 text-emerald-100 font-extrabold leading-none">Ba</div>
           </div>
-          <h1 className="text-lg md:text-xl font-semibold tracking-tight text-emerald-50">Breaking Bad & Better Call Saul Tour</h1>
-          <Badge className="ml-auto bb-badge">{visible.length} shown</Badge>
-          <Badge variant="outline" className="ml-2 bb-badge-outline">{pageData.totalElements} total</Badge>
+          <h1 className="text-lg md:text-xl font-semibold tracking-tight text-emerald-50">{t("app.title")}</h1>
+          <Badge className="ml-auto bb-badge">{t("app.shown", { count: visible.length })}</Badge>
+          <Badge variant="outline" className="ml-2 bb-badge-outline">{t("app.total", { count: results.totalElements })}</Badge>
+          <SeriesProgress catalog={catalog} visited={marks.visited} />
           <Sheet>
             <SheetTrigger asChild>
-              <Button size="sm" className="bb-btn-outline gap-2"><Filter className="h-4 w-4"/>Filters</Button>
+              <Button size="sm" className="bb-btn-outline gap-2"><Filter className="h-4 w-4"/>{t("filters.button")}</Button>
             </SheetTrigger>
             <SheetContent side="right" className="w-[360px] sm:w-[420px] bb-card bb-glow">
               <SheetHeader>
-                <SheetTitle className="bb-txt">Filter & Search</SheetTitle>
+                <SheetTitle className="bb-txt">{t("filters.title")}</SheetTitle>
               </SheetHeader>
               <div className="space-y-6 py-4">
                 <div className="space-y-2">
-                  <Label htmlFor="q" className="bb-muted">Search by name</Label>
+                  <Label htmlFor="q" className="bb-muted">{t("filters.searchByName")}</Label>
                   <div className="flex gap-2">
-                    <Input id="q" className="bb-input" placeholder="Los Pollos Hermanos" value={query} onChange={e => { setPage(0); setQuery(e.target.value); }} />
-                    <Button className="bb-btn-outline" onClick={() => { setPage(0); setQuery(""); }}>Clear</Button>
+                    <Input id="q" className="bb-input" placeholder="Los Pollos Hermanos" value={query} onChange={e => setUrlState({ query: e.target.value }, { replace: true })} />
+                    <Button className="bb-btn-outline" onClick={() => setUrlState({ query: "" })}>{t("common.clear")}</Button>
                   </div>
                 </div>
 
                 <div className="space-y-2">
-                  <Label className="bb-muted">Series</Label>
-                  <Select value={seriesFilter} onValueChange={(v) => { setPage(0); setSeriesFilter(v === "__any__" ? "" : v); }}>
+                  <Label className="bb-muted">{t("filters.series")}</Label>
+                  <Select value={seriesFilter} onValueChange={(v) => setUrlState({ seriesFilter: v === "__any__" ? "" : v })}>
                     <SelectTrigger className="w-full bb-input">
-                      <SelectValue placeholder="Any" />
+                      <SelectValue placeholder={t("common.any")} />
                     </SelectTrigger>
                     <SelectContent className="bb-card">
-                      <SelectItem value="__any__">Any</SelectItem>
+                      <SelectItem value="__any__">{t("common.any")}</SelectItem>
                       {allSeries.map((s) => (
                         <SelectItem key={s} value={String(s)}>{s}</SelectItem>
                       ))}
@@ -305,78 +611,248 @@ export default function BreakingBadTourUI() {
                 </div>
 
                 <div className="space-y-2">
-                  <Label className="bb-muted">Access</Label>
-                  <Select value={accessFilter} onValueChange={(v) => { setPage(0); setAccessFilter(v === "__any__" ? "" : v); }}>
+                  <Label className="bb-muted">{t("filters.access")}</Label>
+                  <Select value={accessFilter} onValueChange={(v) => setUrlState({ accessFilter: v === "__any__" ? "" : v })}>
                     <SelectTrigger className="w-full bb-input">
-                      <SelectValue placeholder="Any" />
+                      <SelectValue placeholder={t("common.any")} />
                     </SelectTrigger>
                     <SelectContent className="bb-card">
-                      <SelectItem value="__any__">Any</SelectItem>
+                      <SelectItem value="__any__">{t("common.any")}</SelectItem>
                       {accessOptions.map((a) => (
-                        <SelectItem key={a} value={String(a)}>{accessLabel(a)}</SelectItem>
+                        <SelectItem key={a} value={String(a)}>{accessLabel(a, t)}</SelectItem>
                       ))}
                     </SelectContent>
                   </Select>
                 </div>
 
                 <div className="space-y-2">
-                  <Label className="bb-muted">Page size</Label>
-                  <Slider min={5} max={50} step={5} value={[size]} onValueChange={(v) => setSize(v[0])} />
+                  <Label className="bb-muted">{t("filters.progress")}</Label>
+                  <Select value={markFilter || "__any__"} onValueChange={(v) => setUrlState({ markFilter: v === "__any__" ? "" : v })}>
+                    <SelectTrigger className="w-full bb-input">
+                      <SelectValue placeholder={t("common.any")} />
+                    </SelectTrigger>
+                    <SelectContent className="bb-card">
+                      <SelectItem value="__any__">{t("common.any")}</SelectItem>
+                      <SelectItem value="visited">{t("filters.visited")}</SelectItem>
+                      <SelectItem value="unvisited">{t("filters.unvisited")}</SelectItem>
+                      <SelectItem value="favorites">{t("filters.favorites")}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div className="space-y-2">
+                  <Label className="bb-muted">{t("filters.pageSize")}</Label>
+                  <Slider min={5} max={50} step={5} value={[size]} onValueChange={(v) => setUrlState({ size: v[0] }, { replace: true })} />
                 </div>
+
+                <div className="space-y-2">
+                  <Label className="bb-muted">
+                    {t("filters.radius")} {origin ? (radiusMi < RADIUS_ANY ? t("filters.within", { distance: `${formatNumber(radiusMi)} mi` }) : t("filters.anyDistance")) : t("filters.needsOrigin")}
+                  </Label>
+                  <Slider min={1} max={RADIUS_ANY} step={1} value={[radiusMi]} disabled={!origin} onValueChange={(v) => setRadiusMi(v[0])} />
+                </div>
+              </div>
+            </SheetContent>
+          </Sheet>
+          <Sheet>
+            <SheetTrigger asChild>
+              <Button size="sm" className={`gap-2 ${dataset ? "bb-btn" : "bb-btn-outline"}`}><Upload className="h-4 w-4"/>{t("import.button")}</Button>
+            </SheetTrigger>
+            <SheetContent side="right" className="w-[360px] sm:w-[420px] bb-card bb-glow">
+              <SheetHeader>
+                <SheetTitle className="bb-txt">{t("import.title")}</SheetTitle>
+              </SheetHeader>
+              <div className="py-4">
+                <DatasetImport
+                  dataset={dataset}
+                  onLoad={setDataset}
+                  onClear={() => setDataset(null)}
+                />
+              </div>
+            </SheetContent>
+          </Sheet>
+          <Button
+            size="sm"
+            className={`gap-2 ${editorMode ? "bb-btn" : "bb-btn-outline"}`}
+            aria-pressed={editorMode}
+            disabled={Boolean(dataset)}
+            title={dataset ? t("curate.apiOnly") : t("curate.hint")}
+            onClick={() => { setEditorMode((m) => !m); setDraft(null); }}
+          >
+            <Pencil className="h-4 w-4"/>{t("curate.button")}
+          </Button>
+          <Button asChild size="sm" className={`gap-2 ${statsView ? "bb-btn" : "bb-btn-outline"}`}>
+            <Link to={{ pathname: statsView ? "/" : STATS_ROUTE, search: routerLocation.search }} aria-current={statsView ? "page" : undefined}>
+              <BarChart3 className="h-4 w-4"/>{t("stats.button")}
+            </Link>
+          </Button>
+          <Button asChild size="sm" className={`gap-2 ${timelineView ? "bb-btn" : "bb-btn-outline"}`}>
+            <Link to={{ pathname: timelineView ? "/" : TIMELINE_ROUTE, search: routerLocation.search }} aria-current={timelineView ? "page" : undefined}>
+              <History className="h-4 w-4"/>{t("timeline.button")}
+            </Link>
+          </Button>
+          <Button asChild size="sm" className={`gap-2 ${printView ? "bb-btn" : "bb-btn-outline"}`}>
+            <Link to={{ pathname: printView ? "/" : PRINT_ROUTE, search: routerLocation.search }} aria-current={printView ? "page" : undefined}>
+              <Printer className="h-4 w-4"/>{t("booklet.button")}
+            </Link>
+          </Button>
+          <Sheet>
+            <SheetTrigger asChild>
+              <Button size="sm" className="bb-btn-outline gap-2"><Clapperboard className="h-4 w-4"/>{t("episodes.button")}</Button>
+            </SheetTrigger>
+            <SheetContent side="right" className="w-[360px] sm:w-[420px] bb-card bb-glow overflow-auto">
+              <SheetHeader>
+                <SheetTitle className="bb-txt">{t("episodes.title")}</SheetTitle>
+              </SheetHeader>
+              <div className="py-4">
+                <EpisodeBrowser index={episodeIndex} selected={episodeFilter} onSelect={(key) => setUrlState({ episodeFilter: key })} />
               </div>
             </SheetContent>
           </Sheet>
+          <Select value={themeChoice} onValueChange={setThemeChoice}>
+            <SelectTrigger className="h-9 w-[150px] bb-input" aria-label={t("app.theme")}>
+              <Palette className="h-4 w-4"/><SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bb-card">
+              {THEME_CHOICES.map((name) => (
+                <SelectItem key={name} value={name}>{t(`app.themes.${name}`)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={locale} onValueChange={setLocale}>
+            <SelectTrigger className="h-9 w-[130px] bb-input" aria-label={t("app.language")}>
+              <Languages className="h-4 w-4"/><SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bb-card">
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <SelectItem key={code} value={code} lang={code}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
         </div>
       </header>
 
+      {printView ? (
+      <main className="mx-auto max-w-5xl px-4 py-6 print:max-w-none print:p-0">
+        <TourBooklet
+          stops={itinerary.length ? itinerary : visible}
+          fromItinerary={itinerary.length > 0}
+          backTo={{ pathname: "/", search: routerLocation.search }}
+        />
+      </main>
+      ) : statsView ? (
+      <main className="mx-auto max-w-7xl px-4 py-6">
+        <StatsDashboard
+          catalog={catalog}
+          loading={!dataset && apiCatalogPending}
+          error={dataset ? null : apiCatalogError}
+          backTo={{ pathname: "/", search: routerLocation.search }}
+          locationLink={(id) => ({ pathname: locationPath(id), search: routerLocation.search })}
+        />
+      </main>
+      ) : (
       <main className="mx-auto max-w-7xl px-4 py-6 grid grid-cols-1 lg:grid-cols-2 gap-6" data-bb-layout>
         {/* Map */}
         <Card className="h-[60vh] lg:h-[78vh] overflow-hidden bb-card bb-glow">
           <CardHeader className="pb-2">
-            <CardTitle className="flex items-center gap-2 text-emerald-100"><MapPin className="h-5 w-5"/>Map</CardTitle>
+            <CardTitle className="flex items-center gap-2 text-emerald-100">
+              <MapPin className="h-5 w-5"/>{t("map.title")}
+              <Button
+                size="sm"
+                className={`ml-auto h-7 gap-1 ${followMap ? "bb-btn" : "bb-btn-outline"}`}
+                aria-pressed={followMap}
+                title={t("map.followHint")}
+                onClick={() => setUrlState({ followMap: !followMap })}
+              >
+                <Scan className="h-3 w-3"/>{t("map.follow")}
+              </Button>
+            </CardTitle>
           </CardHeader>
           <CardContent className="h-full">
             {/* Center the map inside a bordered wrapper with equal inner spacing */}
-<div className="h-full rounded-2xl ring-1 ring-emerald-900/30 p-3">
+<div className="relative h-full rounded-2xl ring-1 ring-emerald-900/30 p-3">
   <MapContainer
+    ref={setMap}
     center={mapCenter}
     zoom={12}
     className="h-full w-full rounded-xl overflow-hidden"
   >
     <TileLayer
-      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-      url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+      key={theme}
+      attribution={THEMES[theme].tiles.attribution}
+      url={THEMES[theme].tiles.url}
     />
-    {visible.map((loc) => (
-      Number.isFinite(loc.lat) && Number.isFinite(loc.lng) ? (
-        <Marker key={loc.id} position={[loc.lat, loc.lng]}>
-          <Popup>
-            <div className="space-y-1 bb-txt">
-              <div className="font-semibold flex items-center gap-2">
-                {loc.name}
-              </div>
-              <div className="text-xs bb-muted flex items-center gap-2">
-                <Layers className="h-3 w-3"/> {(loc.series || []).join(" · ") || "—"}
-              </div>
-              <div className="text-xs bb-muted">{accessLabel(loc.access)}</div>
-              {(loc.address || loc.city || loc.state) && (
-                <div className="text-xs">{[loc.address, loc.city, loc.state].filter(Boolean).join(", ")}</div>
-              )}
-              {Boolean(loc.episodes?.length) && (
-                <div className="flex flex-wrap items-center gap-1 pt-1">
-                  <Film className="h-3 w-3 text-emerald-200"/>
-                            {loc.episodes.map((ep, i) => (
-                              <span key={i} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{ep}</span>
-                  ))}
+    {origin && (
+      <>
+        {radiusKm != null && (
+          <Circle center={[origin.lat, origin.lng]} radius={radiusKm * 1000} pathOptions={{ color: "#38bdf8", weight: 1, fillOpacity: 0.06 }} />
+        )}
+        <CircleMarker center={[origin.lat, origin.lng]} radius={7} pathOptions={{ color: THEMES[theme].vars.text, weight: 2, fillColor: "#38bdf8", fillOpacity: 1 }}>
+          <Popup><div className="text-xs bb-txt">{t("map.youAreHere")}</div></Popup>
+        </CircleMarker>
+        {!detailLocation && <MapFocus position={[origin.lat, origin.lng]} zoom={12} />}
+      </>
+    )}
+    {trackView && <MapViewport onChange={onViewChange} />}
+    {draft && <CoordinatePicker position={draftPosition} onChange={pickCoords} />}
+    {detailLocation && hasCoords(detailLocation) && (
+      <MapFocus position={[detailLocation.lat, detailLocation.lng]} />
+    )}
+    {routePositions.length > 1 && (
+      <Polyline positions={routePositions} pathOptions={{ color: THEMES[theme].route, weight: 4, opacity: 0.85, dashArray: "6 8" }} />
+    )}
+    <MarkerClusterLayer
+      locations={mapLocations}
+      activeId={activeId}
+      renderMarker={(loc, position) => (
+        <React.Fragment key={loc.id}>
+          {loc.privacy && (
+            <Circle center={[loc.lat, loc.lng]} radius={loc.privacy.radiusM} pathOptions={{ weight: 1, dashArray: "4 6", className: "bb-privacy-circle" }} interactive={false} />
+          )}
+          <Marker
+            position={position}
+            ref={(marker) => (marker ? markerRefs.current.set(loc.id, marker) : markerRefs.current.delete(loc.id))}
+            icon={markerIcon(loc, loc.id === activeId)}
+            zIndexOffset={loc.id === activeId ? 1000 : 0}
+            eventHandlers={{ click: () => setSelectedId(loc.id) }}
+          >
+            <Popup>
+              <div className="space-y-1 bb-txt">
+                <div className="font-semibold flex items-center gap-2">
+                  {loc.name}
                 </div>
-              )}
-              {loc.notes && <p className="text-xs mt-2 max-w-[260px] bb-muted">{loc.notes}</p>}
-            </div>
-          </Popup>
-        </Marker>
-      ) : null
-    ))}
+                <div className="text-xs bb-muted flex items-center gap-2">
+                  <Layers className="h-3 w-3"/> {(loc.series || []).join(" · ") || t("common.none")}
+                </div>
+                <div className="text-xs bb-muted">{accessLabel(loc.access, t)}</div>
+                {(loc.address || loc.city || loc.state) && (
+                  <div className="text-xs">{[loc.address, loc.city, loc.state].filter(Boolean).join(", ")}</div>
+                )}
+                {loc.privacy && <PrivacyNotice className="max-w-[260px]" />}
+                {Boolean(loc.episodes?.length) && (
+                  <div className="flex flex-wrap items-center gap-1 pt-1">
+                    <Film className="h-3 w-3 text-emerald-200"/>
+                              {loc.episodes.map((ep, i) => (
+                                <span key={i} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{ep}</span>
+                    ))}
+                  </div>
+                )}
+                {loc.notes && <p className="text-xs mt-2 max-w-[260px] bb-muted">{loc.notes}</p>}
+                <div className="flex items-center gap-2 mt-2">
+                  <MarkButtons id={loc.id} marks={marks} />
+                  <Button size="sm" className="h-7 gap-1 bb-btn-outline" onClick={() => toggleStop(loc)}>
+                    {inItinerary(loc.id) ? <><Check className="h-3 w-3"/>{t("common.inItinerary")}</> : <><Plus className="h-3 w-3"/>{t("common.addToItinerary")}</>}
+                  </Button>
+                  <Link className="text-xs underline decoration-emerald-400 underline-offset-4 hover:no-underline text-emerald-200" to={{ pathname: locationPath(loc.id), search: routerLocation.search }}>{t("common.details")}</Link>
+                </div>
+              </div>
+            </Popup>
+          </Marker>
+        </React.Fragment>
+      )}
+    />
   </MapContainer>
+  <MapLegend />
 </div>
           </CardContent>
         </Card>
@@ -384,96 +860,204 @@ export default function BreakingBadTourUI() {
         {/* List */}
 <Card className="h-[60vh] lg:h-[78vh] bb-card bb-glow flex flex-col">
   <CardHeader className="pb-3">
-    <CardTitle className="text-emerald-100 text-base">Results</CardTitle>
+    <CardTitle className="text-emerald-100 text-base flex items-center justify-between gap-2">
+      {timelineView ? t("timeline.title") : t("results.title")}
+      <div className="flex items-center gap-2">
+        {editorMode && !dataset && (
+          <Button size="sm" className="h-7 gap-1 bb-btn" onClick={() => setDraft(toDraft(null))}>
+            <Plus className="h-3 w-3"/>{t("curate.newLocation")}
+          </Button>
+        )}
+        <Select value={sort || "__default__"} onValueChange={(v) => setUrlState({ sort: v === "__default__" ? "" : v })}>
+          <SelectTrigger className="h-7 w-[170px] gap-1 text-xs bb-input" aria-label={t("sort.label")} title={t("sort.label")}>
+            <ArrowUpDown className="h-3 w-3 shrink-0"/><SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bb-card">
+            <SelectItem value="__default__">{t("sort.default")}</SelectItem>
+            {SORT_KEYS.map((key) => (
+              <SelectItem key={key} value={key}>{t(`sort.options.${key}`)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <ExportButtons locations={visible} name={t("results.exportName")} filename="bbtour-locations" />
+      </div>
+    </CardTitle>
     <div className="mt-3 flex items-center gap-2">
       <div className="relative flex-1">
         <Search className="absolute left-2 top-2.5 h-4 w-4 text-emerald-300/70"/>
-        <Input className="pl-8 bb-input" placeholder="Search locations…" value={query} onChange={(e) => { setPage(0); setQuery(e.target.value); }} />
+        <Input className="pl-8 bb-input" placeholder={t("results.searchPlaceholder")} value={query} onChange={(e) => setUrlState({ query: e.target.value }, { replace: true })} />
       </div>
-      <Button className="bb-btn-outline" onClick={() => { setQuery(""); setSeriesFilter(""); setAccessFilter(""); setPage(0); }}>Reset</Button>
+      <Button
+        className={`gap-2 ${origin ? "bb-btn" : "bb-btn-outline"}`}
+        aria-pressed={Boolean(origin)}
+        disabled={geo.locating}
+        onClick={() => (origin ? geo.clear() : geo.locate())}
+      >
+        {geo.locating ? <Loader2 className="h-4 w-4 animate-spin"/> : <LocateFixed className="h-4 w-4"/>}{t("results.nearMe")}
+      </Button>
+      <Button className="bb-btn-outline" onClick={() => setUrlState({ query: "", seriesFilter: "", accessFilter: "", episodeFilter: "", markFilter: "" })}>{t("results.reset")}</Button>
     </div>
+    {geo.error && <div className="mt-2 text-sm text-red-300">{t("results.locationUnavailable", { error: t(geo.error) })}</div>}
+    {touring && (
+      <div className="mt-2 flex items-center gap-2 text-sm text-emerald-200">
+        <Route className="h-4 w-4"/>{t("share.touring", { count: tourIds.length })}
+        <Button size="sm" className="ml-auto h-7 bb-btn-outline" onClick={() => setUrlState({ tour: "" })}>{t("share.exit")}</Button>
+      </div>
+    )}
+    {episodeFilter && (
+      <div className="mt-2 flex items-center gap-2 text-sm text-emerald-200">
+        <Film className="h-4 w-4"/>{t("episodes.filmedIn")} <span className="bb-chip px-1.5 py-0.5 text-xs">{episodeKeyLabel(episodeFilter)}</span>
+        <Button size="icon" className="h-6 w-6 bb-btn-outline" aria-label={t("episodes.clearFilter")} onClick={() => setUrlState({ episodeFilter: "" })}>
+          <X className="h-3 w-3"/>
+        </Button>
+      </div>
+    )}
   </CardHeader>
 
   <CardContent className="flex-1 overflow-hidden p-0">
     {error && (
-      <div className="px-4 py-3 text-sm text-red-300 border-b border-red-500/40">Error loading locations: {String(error)}</div>
+      <div className="px-4 py-3 text-sm text-red-300 border-b border-red-500/40">{t("results.loadError", { error: String(error) })}</div>
     )}
 
-    {loading ? (
+    {draft ? (
+      <LocationEditor
+        draft={draft}
+        onChange={setDraft}
+        seriesOptions={allSeries}
+        accessOptions={accessOptions}
+        onSave={saveDraft}
+        onDelete={removeDraft}
+        onCancel={() => setDraft(null)}
+      />
+    ) : detailId ? (
+      <LocationDetail
+        location={detailLocation}
+        loading={detailLoading}
+        error={fetchedDetail.id === detailId ? fetchedDetail.error : null}
+        backTo={{ pathname: "/", search: routerLocation.search }}
+        origin={origin}
+        inItinerary={Boolean(detailLocation && inItinerary(detailLocation.id))}
+        onToggleStop={toggleStop}
+      />
+    ) : timelineView ? (
+      <SceneTimeline
+        entries={timeline}
+        onFocus={focusLocation}
+        locationLink={(id) => ({ pathname: locationPath(id), search: routerLocation.search })}
+      />
+    ) : loading && !visible.length ? (
       <div className="h-full flex items-center justify-center text-emerald-200 gap-2">
-        <Loader2 className="h-5 w-5 animate-spin"/> Loading…
+        <Loader2 className="h-5 w-5 animate-spin"/> {t("common.loading")}
       </div>
     ) : (
-      <div className="h-full overflow-auto p-3 pr-4">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-          {visible.map((loc) => (
-            <Card key={loc.id} className="group bb-card bb-glow">
-              <CardHeader className="pb-2">
-                <CardTitle className="text-base flex items-center justify-between gap-2 text-emerald-50">
-                  <span className="truncate" title={loc.name}>{loc.name}</span>
-                  <div className="flex items-center gap-1">
-                    {Boolean(loc.series?.length) && (
-                      <div className="flex items-center gap-1">
-                        {(loc.series || []).map((s, i) => (
-                          <ShowIcon key={i} show={String(s)} />
-                        ))}
-                      </div>
-                    )}
-                  </div>
-                </CardTitle>
-              </CardHeader>
-              <CardContent className="text-sm space-y-2">
-                <div className="flex items-center gap-2 text-emerald-200/90">
-                  <MapPin className="h-4 w-4"/>
-                  <span className="truncate" title={[loc.address, loc.city, loc.state].filter(Boolean).join(", ")}>{[loc.address, loc.city, loc.state].filter(Boolean).join(", ") || "—"}</span>
-                </div>
-                <div className="text-xs uppercase tracking-wide text-emerald-300/80">{accessLabel(loc.access)}</div>
-                {loc.notes && <p className="text-sm text-emerald-100/90 line-clamp-3">{loc.notes}</p>}
-                <div className="flex flex-wrap gap-1 items-center">
-                  {Boolean(loc.episodes?.length) && (
-                    <>
-                      <Film className="h-3 w-3 text-emerald-200"/>$1{loc.episodes.slice(0, 6).map((ep, i) => (
-                            <span key={i} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{ep}</span>
+      <VirtualCardList
+        items={visible}
+        getKey={(loc) => loc.id}
+        scrollKey={results.key}
+        initialScroll={results.scrollTop}
+        onScroll={results.rememberScroll}
+        onEndReached={results.loadMore}
+        activeKey={selectedId}
+        footer={
+          <div className="pt-3 flex items-center justify-center gap-2 text-xs text-emerald-300/80">
+            {loading ? (
+              <><Loader2 className="h-4 w-4 animate-spin"/>{t("results.loadingMore")}</>
+            ) : error ? (
+              <Button size="sm" className="h-7 bb-btn-outline" onClick={results.retry}>{t("results.retry")}</Button>
+            ) : !results.hasMore && visible.length ? (
+              t("results.end", { count: results.totalElements })
+            ) : null}
+          </div>
+        }
+        renderItem={(loc) => (
+          <Card
+            className={`group bb-card bb-glow cursor-pointer ${loc.id === selectedId ? "ring-2 ring-emerald-400" : ""}`}
+            onMouseEnter={() => setHoveredId(loc.id)}
+            onMouseLeave={() => setHoveredId(null)}
+            onClick={(e) => !e.target.closest("a, button") && focusLocation(loc)}
+          >
+            <CardHeader className="pb-2">
+              <CardTitle className="text-base flex items-center justify-between gap-2 text-emerald-50">
+                <Link className="truncate hover:underline underline-offset-4" title={loc.name} to={{ pathname: locationPath(loc.id), search: routerLocation.search }}>
+                  {matchById.get(loc.id)?.field === "name" ? <Highlight text={loc.name} ranges={matchById.get(loc.id).indices} /> : loc.name}
+                </Link>
+                <div className="flex items-center gap-1">
+                  <MarkButtons id={loc.id} marks={marks} />
+                  {Boolean(loc.series?.length) && (
+                    <div className="flex items-center gap-1">
+                      {(loc.series || []).map((s, i) => (
+                        <ShowIcon key={i} show={String(s)} />
                       ))}
-                      {loc.episodes.length > 6 && (
-                        <span className="text-[10px] text-emerald-300/70">+{loc.episodes.length - 6} more</span>
-                      )}
-                    </>
-                  )}
-                </div>
-                <div className="flex gap-2">
-                  {Number.isFinite(loc.lat) && Number.isFinite(loc.lng) ? (
-                    <a
-                      className="text-sm underline decoration-emerald-400 underline-offset-4 hover:no-underline text-emerald-200"
-                      href={`https://www.google.com/maps?q=${loc.lat},${loc.lng}`}
-                      target="_blank" rel="noreferrer"
-                    >Open in Maps</a>
-                  ) : (
-                    <span className="text-sm text-emerald-300/70">No coordinates</span>
+                    </div>
                   )}
                 </div>
-              </CardContent>
-            </Card>
-          ))}
-        </div>
-      </div>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="text-sm space-y-2">
+              {matchById.get(loc.id)?.field !== "name" && <MatchSnippet match={matchById.get(loc.id)} />}
+              <div className="flex items-center gap-2 text-emerald-200/90">
+                <MapPin className="h-4 w-4"/>
+                <span className="truncate" title={[loc.address, loc.city, loc.state].filter(Boolean).join(", ")}>{[loc.address, loc.city, loc.state].filter(Boolean).join(", ") || t("common.none")}</span>
+              </div>
+              <div className="flex items-center justify-between gap-2 text-xs uppercase tracking-wide text-emerald-300/80">
+                <span>{accessLabel(loc.access, t)}</span>
+                {distanceById.has(loc.id) && <span className="normal-case text-emerald-200">{t("common.away", { distance: formatDistance(distanceById.get(loc.id), locale) })}</span>}
+              </div>
+              {loc.notes && <p className="text-sm text-emerald-100/90 line-clamp-3">{loc.notes}</p>}
+              <div className="flex flex-wrap gap-1 items-center">
+                {Boolean(loc.episodes?.length) && (
+                  <>
+                    <Film className="h-3 w-3 text-emerald-200"/>$1{loc.episodes.slice(0, 6).map((ep, i) => (
+                          <span key={i} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{ep}</span>
+                    ))}
+                    {loc.episodes.length > 6 && (
+                      <span className="text-[10px] text-emerald-300/70">{t("common.more", { count: loc.episodes.length - 6 })}</span>
+                    )}
+                  </>
+                )}
+              </div>
+              <div className="flex gap-2">
+                {loc.privacy ? (
+                  <PrivacyNotice className="flex-1" />
+                ) : Number.isFinite(loc.lat) && Number.isFinite(loc.lng) ? (
+                  <a
+                    className="text-sm underline decoration-emerald-400 underline-offset-4 hover:no-underline text-emerald-200"
+                    href={mapsUrl(loc, origin)}
+                    target="_blank" rel="noreferrer"
+                  >{t("common.openInMaps")}</a>
+                ) : (
+                  <span className="text-sm text-emerald-300/70">{t("common.noCoordinates")}</span>
+                )}
+                <Button size="sm" className="ml-auto h-7 gap-1 bb-btn-outline" onClick={() => toggleStop(loc)}>
+                  {inItinerary(loc.id) ? <><Check className="h-3 w-3"/>{t("common.inItinerary")}</> : <><Plus className="h-3 w-3"/>{t("common.add")}</>}
+                </Button>
+                {editorMode && !dataset && (
+                  <Button size="sm" className="h-7 gap-1 bb-btn-outline" onClick={() => editLocation(loc)}>
+                    <Pencil className="h-3 w-3"/>{t("common.edit")}
+                  </Button>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      />
     )}
   </CardContent>
-
-  {/* Pagination (fixed at bottom of results card) */}
-  <div className="border-t border-emerald-900/30 px-4 py-3 flex items-center justify-between">
-    <div className="text-sm text-emerald-300/80">Page {Number(pageData.page ?? 0) + 1} of {Math.max(1, pageData.totalPages)}</div>
-    <div className="flex items-center gap-2">
-      <Button size="sm" className="bb-btn-outline" disabled={page <= 0 || loading} onClick={() => setPage(p => Math.max(0, p - 1))}>Previous</Button>
-      <Button size="sm" className="bb-btn" disabled={page + 1 >= pageData.totalPages || loading} onClick={() => setPage(p => p + 1)}>Next</Button>
-    </div>
-  </div>
 </Card>
+
+        <ItineraryPanel stops={itinerary} onChange={setItinerary} />
       </main>
+      )}
 
-      <footer className="mx-auto max-w-7xl px-4 py-8 text-xs text-emerald-300/70">
-        Data from your API at <code className="text-emerald-200">{API_BASE || window.location.origin}</code> → <code className="text-emerald-200">/api/v1/locations</code>.
-        &nbsp;Schema: <code className="text-emerald-200">_id, name, series[], address, city, state, notes, scenes[], access, geolocation</code> (GeoJSON [lng, lat]).
+      <footer className="mx-auto max-w-7xl px-4 py-8 text-xs text-emerald-300/70 print:hidden">
+        {dataset ? (
+          <>{t("footer.localData")} <code className="text-emerald-200">{dataset.name}</code> {t("footer.localCount", { count: dataset.rows.length })}</>
+        ) : API_MOCK ? (
+          <>{t("footer.mockData")} <code className="text-emerald-200">src/fixtures/locations.json</code>.</>
+        ) : (
+          <>{t("footer.apiData")} <code className="text-emerald-200">{API_BASE || window.location.origin}</code> → <code className="text-emerald-200">/api/v1/locations</code>.</>
+        )}
+        &nbsp;{t("footer.schema")} <code className="text-emerald-200">_id, name, series[], address, city, state, notes, scenes[], access, geolocation</code> {t("footer.schemaNote")}
       </footer>
     </div>
   );
@@ -0,0 +1,25 @@
+import React, { useMemo } from "react";
+import { Marker, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+
+const pickIcon = L.divIcon({
+  className: "bb-pick-icon",
+  html: '<div class="bb-pick-pin"></div>',
+  iconSize: [22, 22],
+  iconAnchor: [11, 22],
+});
+
+// Editor helper: click the map or drag the pin to set a location's coordinates
+export default function CoordinatePicker({ position, onChange }) {
+  useMapEvents({
+    click: (e) => onChange(e.latlng),
+  });
+
+  const handlers = useMemo(
+    () => ({ dragend: (e) => onChange(e.target.getLatLng()) }),
+    [onChange]
+  );
+
+  if (!position) return null;
+  return <Marker position={[position.lat, position.lng]} icon={pickIcon} draggable eventHandlers={handlers} zIndexOffset={1000} />;
+}
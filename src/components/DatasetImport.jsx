@@ -0,0 +1,60 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Upload, Database } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+import { readDatasetFile } from "@/lib/importData";
+
+// Drop zone / file picker for browsing a local GeoJSON or API JSON dump
+export default function DatasetImport({ dataset, onLoad, onClear }) {
+  const { t } = useI18n();
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      onLoad(await readDatasetFile(file));
+    } catch (e) {
+      setError(e.key ? t(e.key) : e.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div
+        role="button"
+        tabIndex={0}
+        className={`rounded-lg border-2 border-dashed p-6 text-center text-sm cursor-pointer ${dragging ? "border-emerald-400 bg-emerald-900/20" : "border-emerald-900/60"}`}
+        onClick={() => inputRef.current?.click()}
+        onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && inputRef.current?.click()}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => { e.preventDefault(); setDragging(false); load(e.dataTransfer.files?.[0]); }}
+      >
+        <Upload className="mx-auto mb-2 h-6 w-6 text-emerald-300"/>
+        <div className="bb-txt">{t("import.drop")}</div>
+        <div className="mt-1 text-xs bb-muted">{t("import.formats")}</div>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,.geojson,application/json,application/geo+json"
+          className="hidden"
+          onChange={(e) => { load(e.target.files?.[0]); e.target.value = ""; }}
+        />
+      </div>
+
+      {error && <div className="text-sm text-red-300">{t("import.failed", { error })}</div>}
+
+      {dataset && (
+        <div className="flex items-center gap-2 text-sm text-emerald-200">
+          <Database className="h-4 w-4"/>
+          <span className="truncate" title={dataset.name}>{dataset.name}</span>
+          <span className="bb-muted">{t("import.rowCount", { count: dataset.rows.length })}</span>
+          <Button size="sm" className="ml-auto bb-btn-outline" onClick={onClear}>{t("import.useApi")}</Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import ShowIcon from "@/components/ShowIcon";
+import { useI18n } from "@/hooks/useI18n";
+
+// Series → season → episode picker; each episode shows its location count
+export default function EpisodeBrowser({ index, selected, onSelect }) {
+  const { t, formatNumber } = useI18n();
+  const [activeSeries, setActiveSeries] = useState(null);
+  const current = index.find((s) => s.series === activeSeries) ?? index[0];
+
+  if (!index.length) {
+    return <p className="text-sm bb-muted">{t("episodes.empty")}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        {index.map(({ series }) => (
+          <Button
+            key={series}
+            size="sm"
+            className={`gap-2 ${series === current.series ? "bb-btn" : "bb-btn-outline"}`}
+            onClick={() => setActiveSeries(series)}
+          >
+            <ShowIcon show={series} />{series || t("episodes.other")}
+          </Button>
+        ))}
+      </div>
+
+      {current.seasons.map(({ season, episodes }) => (
+        <div key={String(season)} className="space-y-2">
+          <div className="text-xs uppercase tracking-wide text-emerald-300/80">
+            {season == null ? t("episodes.other") : t("episodes.season", { season })}
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {episodes.map((e) => (
+              <button
+                key={e.key}
+                type="button"
+                aria-pressed={e.key === selected}
+                title={t("episodes.locations", { count: e.count })}
+                className={`text-[11px] leading-4 px-1.5 py-0.5 rounded-md ${e.key === selected ? "bb-btn" : "bb-chip"}`}
+                onClick={() => onSelect(e.key === selected ? "" : e.key)}
+              >
+                {e.episode == null ? e.code : `E${String(e.episode).padStart(2, "0")}`}
+                <span className="ml-1 opacity-70">{formatNumber(e.count)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
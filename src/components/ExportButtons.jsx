@@ -0,0 +1,25 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Download } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+import { EXPORT_FORMATS, downloadText } from "@/lib/exporters";
+
+// One download button per export format for a list of locations
+export default function ExportButtons({ locations, name, filename, route = false }) {
+  const { t } = useI18n();
+  const save = (key) => {
+    const f = EXPORT_FORMATS[key];
+    downloadText(`${filename}.${f.ext}`, f.mime, f.build(locations, { name, route }));
+  };
+
+  return (
+    <div className="flex items-center gap-1" role="group" aria-label={t("export.label")}>
+      <Download className="h-4 w-4 text-emerald-300/80" aria-hidden="true"/>
+      {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+        <Button key={key} size="sm" className="h-7 px-2 bb-btn-outline" disabled={!locations.length} onClick={() => save(key)}>
+          {f.label}
+        </Button>
+      ))}
+    </div>
+  );
+}
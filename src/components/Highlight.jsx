@@ -0,0 +1,32 @@
+import React from "react";
+import { useI18n } from "@/hooks/useI18n";
+import { snippet } from "@/lib/search";
+
+// Render `text` with the inclusive [start, end] `ranges` wrapped in <mark>
+export default function Highlight({ text, ranges = [] }) {
+  const parts = [];
+  let cursor = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end], i) => {
+      if (start < cursor) return;
+      if (start > cursor) parts.push(text.slice(cursor, start));
+      parts.push(<mark key={i} className="bb-mark">{text.slice(start, end + 1)}</mark>);
+      cursor = end + 1;
+    });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+// "Matched in scene notes: …highlighted snippet…" line for a search hit
+export function MatchSnippet({ match }) {
+  const { t } = useI18n();
+  if (!match) return null;
+  const cut = snippet(match.text, match.indices);
+  return (
+    <div className="text-xs bb-muted">
+      <span className="uppercase tracking-wide text-emerald-300/80">{t("results.matchedIn", { field: t(`results.fields.${match.field}`) })}</span>{" "}
+      <Highlight text={cut.text} ranges={cut.indices} />
+    </div>
+  );
+}
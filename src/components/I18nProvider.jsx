@@ -0,0 +1,25 @@
+import React, { useEffect, useMemo } from "react";
+import { useLocalStorage } from "@/hooks/useLocalStorage";
+import { I18nContext, LOCALES, detectLocale, formatNumber, translate } from "@/lib/i18n";
+
+// Provides the active locale: the saved choice, else the browser language
+export default function I18nProvider({ children }) {
+  const [saved, setLocale] = useLocalStorage("bbtour.locale", null);
+  const locale = LOCALES[saved] ? saved : detectLocale();
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale,
+      t: (key, params) => translate(locale, key, params),
+      formatNumber: (n, options) => formatNumber(locale, n, options),
+    }),
+    [locale, setLocale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
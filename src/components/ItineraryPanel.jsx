@@ -0,0 +1,77 @@
+import React from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import ExportButtons from "@/components/ExportButtons";
+import TourShare from "@/components/TourShare";
+import { Route, ArrowUp, ArrowDown, X, Sparkles, Trash2 } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+import { formatDistance } from "@/lib/geo";
+import { legDistances, optimizeRoute } from "@/lib/itinerary";
+
+// Ordered list of tour stops with manual + automatic ordering and leg distances
+export default function ItineraryPanel({ stops, onChange }) {
+  const { t, locale } = useI18n();
+  const legs = legDistances(stops);
+  const total = legs.reduce((sum, d) => sum + (d ?? 0), 0);
+
+  const move = (index, delta) => {
+    const next = stops.slice();
+    const [stop] = next.splice(index, 1);
+    next.splice(index + delta, 0, stop);
+    onChange(next);
+  };
+  const remove = (id) => onChange(stops.filter((s) => s.id !== id));
+
+  return (
+    <Card className="lg:col-span-2 bb-card bb-glow">
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-emerald-100 text-base">
+          <Route className="h-5 w-5"/>{t("itinerary.title")}
+          <Badge className="ml-auto bb-badge">{t("itinerary.stops", { count: stops.length })}</Badge>
+          <Badge variant="outline" className="bb-badge-outline">{formatDistance(total, locale)}</Badge>
+        </CardTitle>
+        <div className="mt-3 flex items-center gap-2">
+          <Button size="sm" className="bb-btn gap-2" disabled={stops.length < 3} onClick={() => onChange(optimizeRoute(stops))}>
+            <Sparkles className="h-4 w-4"/>{t("itinerary.optimize")}
+          </Button>
+          <Button size="sm" className="bb-btn-outline gap-2" disabled={!stops.length} onClick={() => onChange([])}>
+            <Trash2 className="h-4 w-4"/>{t("common.clear")}
+          </Button>
+          <TourShare stops={stops} />
+          <div className="ml-auto">
+            <ExportButtons locations={stops} name={t("itinerary.exportName")} filename="bbtour-itinerary" route />
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {!stops.length ? (
+          <p className="text-sm bb-muted">{t("itinerary.empty")}</p>
+        ) : (
+          <ol className="space-y-1">
+            {stops.map((stop, i) => (
+              <li key={stop.id}>
+                {i > 0 && (
+                  <div className="pl-9 text-[11px] text-emerald-300/70">↓ {legs[i - 1] == null ? t("itinerary.noCoordinates") : formatDistance(legs[i - 1], locale)}</div>
+                )}
+                <div className="flex items-center gap-2 rounded-md px-2 py-1 bb-card-ghost border">
+                  <span className="grid place-items-center w-5 h-5 rounded bb-show-tile">{i + 1}</span>
+                  <span className="flex-1 truncate text-sm text-emerald-50" title={stop.name}>{stop.name}</span>
+                  <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("itinerary.moveUp")} disabled={i === 0} onClick={() => move(i, -1)}>
+                    <ArrowUp className="h-4 w-4"/>
+                  </Button>
+                  <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("itinerary.moveDown")} disabled={i === stops.length - 1} onClick={() => move(i, 1)}>
+                    <ArrowDown className="h-4 w-4"/>
+                  </Button>
+                  <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("itinerary.remove", { name: stop.name })} onClick={() => remove(stop.id)}>
+                    <X className="h-4 w-4"/>
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,89 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { ArrowLeft, MapPin, Film, Loader2, Plus, Check } from "lucide-react";
+import ShowIcon from "@/components/ShowIcon";
+import PrivacyNotice from "@/components/PrivacyNotice";
+import { useI18n } from "@/hooks/useI18n";
+import { hasCoords, mapsUrl } from "@/lib/geo";
+import { accessLabel, formatAddress, sceneText } from "@/lib/locations";
+
+// Full view of one location: every scene with its episodes, plus notes
+export default function LocationDetail({ location, loading, error, backTo, origin, inItinerary, onToggleStop }) {
+  const { t } = useI18n();
+  const back = (
+    <Link to={backTo} className="inline-flex items-center gap-1 text-sm text-emerald-200 underline decoration-emerald-400 underline-offset-4 hover:no-underline">
+      <ArrowLeft className="h-4 w-4"/>{t("detail.back")}
+    </Link>
+  );
+
+  if (loading) {
+    return (
+      <div className="h-full flex items-center justify-center text-emerald-200 gap-2">
+        <Loader2 className="h-5 w-5 animate-spin"/> {t("common.loading")}
+      </div>
+    );
+  }
+  if (error || !location) {
+    return (
+      <div className="p-4 space-y-3">
+        {back}
+        <div className="text-sm text-red-300">{error ? t("detail.loadError", { error: String(error) }) : t("detail.notFound")}</div>
+      </div>
+    );
+  }
+
+  const address = formatAddress(location);
+  return (
+    <div className="h-full overflow-auto p-4 space-y-4">
+      {back}
+      <div className="space-y-1">
+        <h2 className="text-lg font-semibold text-emerald-50 flex items-center gap-2">
+          {location.name}
+          {(location.series || []).map((s, i) => <ShowIcon key={i} show={String(s)} />)}
+        </h2>
+        <div className="flex items-center gap-2 text-sm text-emerald-200/90">
+          <MapPin className="h-4 w-4"/>{address || t("common.none")}
+        </div>
+        <div className="text-xs uppercase tracking-wide text-emerald-300/80">{accessLabel(location.access, t)}</div>
+      </div>
+
+      {location.notes && <p className="text-sm text-emerald-100/90 whitespace-pre-line">{location.notes}</p>}
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-semibold text-emerald-100">{t("detail.scenes")}</h3>
+        {!location.scenes.length && <p className="text-sm bb-muted">{t("detail.noScenes")}</p>}
+        <ul className="space-y-2">
+          {location.scenes.map((scene, i) => (
+            <li key={i} className="rounded-md border p-2 bb-card-ghost space-y-1">
+              {sceneText(scene) && <p className="text-sm bb-scene-text">{sceneText(scene)}</p>}
+              {Boolean(scene.episodes?.length) && (
+                <div className="flex flex-wrap items-center gap-1">
+                  <Film className="h-3 w-3 text-emerald-200"/>
+                  {scene.episodes.map((ep, j) => (
+                    <span key={j} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{String(ep)}</span>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex items-center gap-2">
+        {location.privacy ? (
+          <PrivacyNotice className="flex-1" />
+        ) : hasCoords(location) && (
+          <a
+            className="text-sm underline decoration-emerald-400 underline-offset-4 hover:no-underline text-emerald-200"
+            href={mapsUrl(location, origin)}
+            target="_blank" rel="noreferrer"
+          >{t("common.openInMaps")}</a>
+        )}
+        <Button size="sm" className="ml-auto h-7 gap-1 bb-btn-outline" onClick={() => onToggleStop(location)}>
+          {inItinerary ? <><Check className="h-3 w-3"/>{t("common.inItinerary")}</> : <><Plus className="h-3 w-3"/>{t("common.addToItinerary")}</>}
+        </Button>
+      </div>
+    </div>
+  );
+}
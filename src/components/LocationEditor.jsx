@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Loader2, Plus, Trash2, X, Crosshair } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+import { ACCESS_LABELS, accessLabel } from "@/lib/locations";
+import { emptyScene, validateDraft } from "@/lib/locationForm";
+
+// Validation message; `error` is a message key from validateDraft
+function FieldError({ error }) {
+  const { t } = useI18n();
+  return error ? <div className="text-xs text-red-300">{t(error)}</div> : null;
+}
+
+/**
+ * Curator form for one location. The draft is owned by the parent so the
+ * map's coordinate picker can write lat/lng into it.
+ */
+export default function LocationEditor({ draft, onChange, seriesOptions, accessOptions, onSave, onDelete, onCancel }) {
+  const { t } = useI18n();
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const setScene = (i, patch) => set({ scenes: draft.scenes.map((s, j) => (j === i ? { ...s, ...patch } : s)) });
+  const toggleSeries = (name) =>
+    set({ series: draft.series.includes(name) ? draft.series.filter((s) => s !== name) : [...draft.series, name] });
+
+  const allSeries = Array.from(new Set([...seriesOptions, ...draft.series]));
+  const allAccess = Array.from(new Set([...Object.keys(ACCESS_LABELS), ...accessOptions])).sort();
+
+  const run = async (action) => {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await action();
+    } catch (e) {
+      setSaveError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () => {
+    const found = validateDraft(draft);
+    setErrors(found);
+    if (!Object.keys(found).length) run(() => onSave(draft));
+  };
+
+  const remove = () => {
+    if (window.confirm(t("editor.confirmDelete", { name: draft.name || t("editor.thisLocation") }))) run(() => onDelete(draft));
+  };
+
+  return (
+    <div className="h-full overflow-auto p-4 space-y-4">
+      <div className="flex items-center gap-2">
+        <h2 className="text-base font-semibold text-emerald-50">{draft.id ? t("editor.editTitle") : t("editor.newTitle")}</h2>
+        <Button size="icon" className="ml-auto h-7 w-7 bb-btn-outline" aria-label={t("editor.close")} onClick={onCancel}>
+          <X className="h-4 w-4"/>
+        </Button>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="ed-name" className="bb-muted">{t("editor.name")}</Label>
+        <Input id="ed-name" className="bb-input" value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+        <FieldError error={errors.name} />
+      </div>
+
+      <div className="space-y-1">
+        <Label className="bb-muted">{t("editor.series")}</Label>
+        <div className="flex flex-wrap gap-2">
+          {allSeries.map((name) => (
+            <label key={name} className="flex items-center gap-1 text-sm bb-txt">
+              <input type="checkbox" checked={draft.series.includes(name)} onChange={() => toggleSeries(name)} />
+              {name}
+            </label>
+          ))}
+        </div>
+        <FieldError error={errors.series} />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <div className="space-y-1 sm:col-span-3">
+          <Label htmlFor="ed-address" className="bb-muted">{t("editor.address")}</Label>
+          <Input id="ed-address" className="bb-input" value={draft.address} onChange={(e) => set({ address: e.target.value })} />
+        </div>
+        <div className="space-y-1 sm:col-span-2">
+          <Label htmlFor="ed-city" className="bb-muted">{t("editor.city")}</Label>
+          <Input id="ed-city" className="bb-input" value={draft.city} onChange={(e) => set({ city: e.target.value })} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="ed-state" className="bb-muted">{t("editor.state")}</Label>
+          <Input id="ed-state" className="bb-input" value={draft.state} onChange={(e) => set({ state: e.target.value })} />
+          <FieldError error={errors.state} />
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label className="bb-muted">{t("editor.access")}</Label>
+        <Select value={draft.access} onValueChange={(v) => set({ access: v })}>
+          <SelectTrigger className="w-full bb-input">
+            <SelectValue placeholder={t("editor.choose")} />
+          </SelectTrigger>
+          <SelectContent className="bb-card">
+            {allAccess.map((a) => (
+              <SelectItem key={a} value={a}>{accessLabel(a, t)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <FieldError error={errors.access} />
+      </div>
+
+      <div className="space-y-1">
+        <Label className="bb-muted flex items-center gap-1"><Crosshair className="h-3 w-3"/>{t("editor.coordinates")}</Label>
+        <div className="grid grid-cols-2 gap-2">
+          <Input className="bb-input" inputMode="decimal" placeholder={t("editor.latitude")} aria-label={t("editor.latitude")} value={draft.lat} onChange={(e) => set({ lat: e.target.value })} />
+          <Input className="bb-input" inputMode="decimal" placeholder={t("editor.longitude")} aria-label={t("editor.longitude")} value={draft.lng} onChange={(e) => set({ lng: e.target.value })} />
+        </div>
+        <FieldError error={errors.lat} />
+        <FieldError error={errors.lng} />
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="ed-notes" className="bb-muted">{t("editor.notes")}</Label>
+        <textarea
+          id="ed-notes"
+          rows={3}
+          className="w-full rounded-md border px-3 py-2 text-sm bb-input"
+          value={draft.notes}
+          onChange={(e) => set({ notes: e.target.value })}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center">
+          <Label className="bb-muted">{t("editor.scenes")}</Label>
+          <Button size="sm" className="ml-auto h-7 gap-1 bb-btn-outline" onClick={() => set({ scenes: [...draft.scenes, emptyScene()] })}>
+            <Plus className="h-3 w-3"/>{t("editor.addScene")}
+          </Button>
+        </div>
+        {draft.scenes.map((scene, i) => (
+          <div key={i} className="rounded-md border p-2 space-y-2 bb-card-ghost">
+            <div className="flex items-start gap-2">
+              <textarea
+                rows={2}
+                className="flex-1 rounded-md border px-3 py-2 text-sm bb-input"
+                placeholder={t("editor.sceneText")}
+                aria-label={t("editor.sceneTextLabel", { n: i + 1 })}
+                value={scene.text}
+                onChange={(e) => setScene(i, { text: e.target.value })}
+              />
+              <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("editor.removeScene", { n: i + 1 })} onClick={() => set({ scenes: draft.scenes.filter((_, j) => j !== i) })}>
+                <X className="h-4 w-4"/>
+              </Button>
+            </div>
+            <Input
+              className="bb-input"
+              placeholder={t("editor.sceneEpisodes")}
+              aria-label={t("editor.sceneEpisodesLabel", { n: i + 1 })}
+              value={scene.episodes}
+              onChange={(e) => setScene(i, { episodes: e.target.value })}
+            />
+            <FieldError error={errors[`scene${i}`]} />
+          </div>
+        ))}
+      </div>
+
+      {saveError && <div className="text-sm text-red-300">{t("editor.saveFailed", { error: saveError })}</div>}
+
+      <div className="flex items-center gap-2">
+        <Button className="bb-btn gap-2" disabled={saving} onClick={save}>
+          {saving && <Loader2 className="h-4 w-4 animate-spin"/>}{draft.id ? t("editor.save") : t("editor.create")}
+        </Button>
+        <Button className="bb-btn-outline" disabled={saving} onClick={onCancel}>{t("editor.cancel")}</Button>
+        {draft.id && (
+          <Button className="ml-auto gap-2 bb-btn-outline text-red-300" disabled={saving} onClick={remove}>
+            <Trash2 className="h-4 w-4"/>{t("editor.delete")}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
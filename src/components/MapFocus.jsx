@@ -0,0 +1,17 @@
+import { useEffect } from "react";
+import { useMap } from "react-leaflet";
+
+// MapContainer only reads `center` on mount; this re-centers it afterwards
+export default function MapFocus({ position, zoom = 16 }) {
+  const map = useMap();
+  const lat = position?.[0];
+  const lng = position?.[1];
+
+  useEffect(() => {
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      map.flyTo([lat, lng], Math.max(map.getZoom(), zoom), { duration: 0.6 });
+    }
+  }, [map, lat, lng, zoom]);
+
+  return null;
+}
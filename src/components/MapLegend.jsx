@@ -0,0 +1,47 @@
+import React from "react";
+import { Info } from "lucide-react";
+import MarkerPin from "@/components/MarkerPin";
+import { ACCESS_MARKERS, accessMarker } from "@/lib/markerStyles";
+import { SHOW_KINDS } from "@/lib/shows";
+import { accessLabel } from "@/lib/locations";
+import { useI18n } from "@/hooks/useI18n";
+
+const SERIES_ROWS = [["bb"], ["bcs"], ["ec"], ["bb", "bcs"]];
+
+// Collapsible key to the marker pins, floating over the map's bottom-left corner
+export default function MapLegend() {
+  const { t } = useI18n();
+  return (
+    <details className="bb-legend absolute bottom-6 left-6 z-[1000] max-w-[240px] rounded-lg text-xs bb-txt">
+      <summary className="flex cursor-pointer items-center gap-1 px-2 py-1 font-semibold">
+        <Info className="h-3 w-3" />{t("legend.title")}
+      </summary>
+      <div className="space-y-2 px-2 pb-2">
+        <div className="space-y-1">
+          <div className="bb-muted">{t("legend.series")}</div>
+          {SERIES_ROWS.map((kinds) => (
+            <div key={kinds.join("+")} className="flex items-center gap-2">
+              <MarkerPin kinds={kinds} showAccess={false} />
+              {kinds.length > 1 ? t("legend.multiSeries") : SHOW_KINDS[kinds[0]].label}
+            </div>
+          ))}
+        </div>
+        <div className="space-y-1">
+          <div className="bb-muted">{t("legend.access")}</div>
+          {[...Object.keys(ACCESS_MARKERS), ""].map((access) => {
+            const { Glyph, outline } = accessMarker(access);
+            return (
+              <div key={access || "unknown"} className="flex items-center gap-2">
+                <span className={`bb-legend-swatch bb-pin-${outline}`}>
+                  <Glyph className="h-2.5 w-2.5" aria-hidden="true" />
+                </span>
+                {accessLabel(access, t)}
+              </div>
+            );
+          })}
+          <p className="bb-muted pt-1">{t("legend.outlines")}</p>
+        </div>
+      </div>
+    </details>
+  );
+}
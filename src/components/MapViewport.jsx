@@ -0,0 +1,22 @@
+import { useEffect } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+
+const boundsOf = (map) => {
+  const b = map.getBounds();
+  return { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() };
+};
+
+// Reports the visible map bounds on mount and after every pan/zoom
+export default function MapViewport({ onChange }) {
+  const map = useMap();
+
+  useMapEvents({
+    moveend: () => onChange(boundsOf(map)),
+  });
+
+  useEffect(() => {
+    onChange(boundsOf(map));
+  }, [map, onChange]);
+
+  return null;
+}
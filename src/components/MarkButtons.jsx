@@ -0,0 +1,35 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Star, CircleCheck } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+
+// Favorite + visited toggles shown on result cards and in marker popups
+export default function MarkButtons({ id, marks }) {
+  const { t } = useI18n();
+  const favorite = marks.isFavorite(id);
+  const visited = marks.isVisited(id);
+  return (
+    <div className="flex items-center gap-1">
+      <Button
+        size="icon"
+        className={`h-7 w-7 ${favorite ? "bb-btn" : "bb-btn-outline"}`}
+        aria-pressed={favorite}
+        aria-label={favorite ? t("marks.removeFavorite") : t("marks.addFavorite")}
+        title={favorite ? t("marks.favorite") : t("marks.markFavorite")}
+        onClick={() => marks.toggleFavorite(id)}
+      >
+        <Star className="h-4 w-4" fill={favorite ? "currentColor" : "none"}/>
+      </Button>
+      <Button
+        size="icon"
+        className={`h-7 w-7 ${visited ? "bb-btn" : "bb-btn-outline"}`}
+        aria-pressed={visited}
+        aria-label={visited ? t("marks.markUnvisited") : t("marks.markVisited")}
+        title={visited ? t("marks.visited") : t("marks.markVisited")}
+        onClick={() => marks.toggleVisited(id)}
+      >
+        <CircleCheck className="h-4 w-4"/>
+      </Button>
+    </div>
+  );
+}
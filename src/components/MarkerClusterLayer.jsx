@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from "react";
+import { Marker, Polyline, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { hasCoords } from "@/lib/geo";
+import { SHOW_KINDS, showMix } from "@/lib/shows";
+
+/**
+ * Lightweight marker clustering for react-leaflet
+ * -----------------------------------------------
+ *  - Greedy pixel-distance clustering at the current zoom level
+ *  - Cluster bubbles show the member count and the series mix
+ *  - Clicking a bubble zooms to fit it, or spreads the members out in a
+ *    circle when zooming in further would not separate them
+ */
+
+// Group points whose projected pixel positions fall within `radius` of a seed
+function clusterPoints(map, locations, zoom, radius) {
+  const cells = new Map();
+  const clusters = [];
+  locations.forEach((loc) => {
+    const px = map.project([loc.lat, loc.lng], zoom);
+    const cx = Math.floor(px.x / radius);
+    const cy = Math.floor(px.y / radius);
+    let target = null;
+    for (let dx = -1; dx <= 1 && !target; dx++) {
+      for (let dy = -1; dy <= 1 && !target; dy++) {
+        const bucket = cells.get(`${cx + dx}:${cy + dy}`) || [];
+        target = bucket.find((c) => c.seed.distanceTo(px) <= radius) || null;
+      }
+    }
+    if (target) {
+      target.members.push(loc);
+      return;
+    }
+    const cluster = { seed: px, members: [loc] };
+    clusters.push(cluster);
+    const key = `${cx}:${cy}`;
+    cells.set(key, [...(cells.get(key) || []), cluster]);
+  });
+  return clusters.map(({ members }) => ({
+    key: `c:${members[0].id}:${members.length}`,
+    members,
+    lat: members.reduce((s, m) => s + m.lat, 0) / members.length,
+    lng: members.reduce((s, m) => s + m.lng, 0) / members.length,
+  }));
+}
+
+// Bubble icon: count in the middle, ring split by series share; `active`
+// outlines the cluster holding the hovered/selected location
+function clusterIcon(members, active) {
+  const mix = showMix(members);
+  const total = Object.values(mix).reduce((s, n) => s + n, 0) || 1;
+  let acc = 0;
+  const stops = Object.entries(mix).map(([kind, n]) => {
+    const from = (acc / total) * 360;
+    acc += n;
+    return `${SHOW_KINDS[kind].color} ${from}deg ${(acc / total) * 360}deg`;
+  });
+  const legend = Object.entries(mix)
+    .map(([kind, n]) => `<span class="bb-show-tile">${SHOW_KINDS[kind].short}</span>${n}`)
+    .join(" ");
+  const title = Object.entries(mix)
+    .map(([kind, n]) => `${SHOW_KINDS[kind].label}: ${n}`)
+    .join(" · ");
+  const size = members.length < 10 ? 36 : members.length < 50 ? 44 : 52;
+  return L.divIcon({
+    className: active ? "bb-cluster-icon bb-cluster-active" : "bb-cluster-icon",
+    iconSize: [size, size],
+    html: `<div class="bb-cluster" title="${title}" style="width:${size}px;height:${size}px;background:conic-gradient(${stops.join(",")})">
+      <span class="bb-cluster-count">${members.length}</span>
+      <span class="bb-cluster-mix">${legend}</span>
+    </div>`,
+  });
+}
+
+// Place members on a circle around the cluster centre (in pixel space)
+function spreadPositions(map, cluster) {
+  const zoom = map.getZoom();
+  const center = map.project([cluster.lat, cluster.lng], zoom);
+  const n = cluster.members.length;
+  const r = 24 + n * 5;
+  return cluster.members.map((m, i) => {
+    const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+    const ll = map.unproject(L.point(center.x + r * Math.cos(angle), center.y + r * Math.sin(angle)), zoom);
+    return { loc: m, position: [ll.lat, ll.lng] };
+  });
+}
+
+export default function MarkerClusterLayer({ locations, renderMarker, activeId = null, radius = 60, disableClusteringAtZoom = 17 }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  const [spread, setSpread] = useState(null);
+
+  useMapEvents({
+    zoomstart: () => setSpread(null),
+    zoomend: () => setZoom(map.getZoom()),
+    click: () => setSpread(null),
+  });
+
+  // Past the clustering zoom only markers that actually overlap are grouped.
+  // Both icon variants are built here so hovering (activeId) only swaps the
+  // icon of the clusters it enters or leaves, without re-clustering.
+  const clusters = useMemo(
+    () =>
+      clusterPoints(map, locations.filter(hasCoords), zoom, zoom >= disableClusteringAtZoom ? 12 : radius).map((c) => ({
+        ...c,
+        icons: c.members.length > 1 ? { idle: clusterIcon(c.members, false), active: clusterIcon(c.members, true) } : null,
+      })),
+    [map, locations, zoom, radius, disableClusteringAtZoom]
+  );
+
+  const openCluster = (cluster) => {
+    const bounds = L.latLngBounds(cluster.members.map((m) => [m.lat, m.lng]));
+    const target = Math.min(map.getBoundsZoom(bounds, false, L.point(40, 40)), map.getMaxZoom());
+    if (target > map.getZoom()) map.fitBounds(bounds, { padding: [40, 40] });
+    else setSpread(cluster.key);
+  };
+
+  return clusters.map((cluster) => {
+    if (cluster.members.length === 1) {
+      const loc = cluster.members[0];
+      return renderMarker(loc, [loc.lat, loc.lng]);
+    }
+    if (cluster.key === spread) {
+      const center = [cluster.lat, cluster.lng];
+      return (
+        <React.Fragment key={cluster.key}>
+          {spreadPositions(map, cluster).map(({ loc, position }) => (
+            <React.Fragment key={loc.id}>
+              <Polyline positions={[center, position]} pathOptions={{ color: "#34d399", weight: 1, opacity: 0.7, className: "bb-spider-leg" }} />
+              {renderMarker(loc, position)}
+            </React.Fragment>
+          ))}
+        </React.Fragment>
+      );
+    }
+    return (
+      <Marker
+        key={cluster.key}
+        position={[cluster.lat, cluster.lng]}
+        icon={cluster.members.some((m) => m.id === activeId) ? cluster.icons.active : cluster.icons.idle}
+        eventHandlers={{ click: () => openCluster(cluster) }}
+      />
+    );
+  });
+}
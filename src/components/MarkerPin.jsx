@@ -0,0 +1,22 @@
+import React from "react";
+import ShowIcon from "@/components/ShowIcon";
+import { SHOW_KINDS } from "@/lib/shows";
+import { accessMarker, pinFill } from "@/lib/markerStyles";
+
+// Teardrop pin filled with the series color(s), showing the first series' icon
+// and an access badge; styled by App's `.bb-pin*` rules
+export default function MarkerPin({ kinds, access, showAccess = true }) {
+  const { Glyph, outline } = accessMarker(access);
+  return (
+    <div className={`bb-pin bb-pin-${outline}`} style={{ background: pinFill(kinds) }}>
+      <span className="bb-pin-face">
+        <ShowIcon show={SHOW_KINDS[kinds[0]].label} />
+        {showAccess && (
+          <span className="bb-pin-access">
+            <Glyph className="h-2.5 w-2.5" aria-hidden="true" />
+          </span>
+        )}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from "react";
+import { EyeOff } from "lucide-react";
+import { useI18n } from "@/hooks/useI18n";
+
+// Stands in for "Open in Maps" on private locations (see lib/privacy.js)
+export default function PrivacyNotice({ className = "" }) {
+  const { t } = useI18n();
+  return (
+    <p className={`flex items-start gap-1.5 text-xs text-emerald-200 ${className}`}>
+      <EyeOff className="h-3.5 w-3.5 mt-0.5 shrink-0" aria-hidden="true"/>
+      <span><span className="font-semibold">{t("privacy.approximate")}</span> {t("privacy.etiquette")}</span>
+    </p>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useMemo } from "react";
+import QRCode from "qrcode";
+
+const QUIET_ZONE = 4; // modules of white border scanners expect
+
+// Modules for `value`, or null when it is longer than a QR code can hold
+function encode(value) {
+  try {
+    return QRCode.create(value, { errorCorrectionLevel: "M" }).modules;
+  } catch {
+    return null;
+  }
+}
+
+// QR code drawn as one SVG path; always dark on white so phones can read it.
+// Renders `fallback` instead when `value` does not fit in a QR code.
+export default function QrCode({ value, size = 200, title, fallback = null }) {
+  const qr = useMemo(() => {
+    const modules = encode(value);
+    if (!modules) return null;
+    const d = [];
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) d.push(`M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`);
+      }
+    }
+    return { count: modules.size + QUIET_ZONE * 2, path: d.join("") };
+  }, [value]);
+
+  if (!qr) return fallback;
+  const { count, path } = qr;
+  return (
+    <svg
+      viewBox={`0 0 ${count} ${count}`}
+      width={size}
+      height={size}
+      role="img"
+      aria-label={title}
+      shapeRendering="crispEdges"
+      className="rounded-md"
+    >
+      {title && <title>{title}</title>}
+      <rect width={count} height={count} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Play, Pause, SkipBack, SkipForward, MapPin } from "lucide-react";
+import ShowIcon from "@/components/ShowIcon";
+import { useI18n } from "@/hooks/useI18n";
+import { hasCoords } from "@/lib/geo";
+
+const STEP_MS = 4000;
+
+const sectionKey = (e) => `${e.series}|${e.season}`;
+
+/**
+ * Scenes in story order (see buildTimeline). Clicking a scene's location
+ * calls `onFocus` to show it on the map; "play" steps through them one by
+ * one, skipping scenes whose location has no coordinates.
+ */
+export default function SceneTimeline({ entries, onFocus, locationLink }) {
+  const { t, formatNumber } = useI18n();
+  const [current, setCurrent] = useState(-1);
+  const [playing, setPlaying] = useState(false);
+  const itemRefs = useRef(new Map()); // entry key → <li>
+
+  // Next/previous entry that can be shown on the map
+  const step = useCallback(
+    (from, delta) => {
+      for (let i = from + delta; i >= 0 && i < entries.length; i += delta) {
+        if (hasCoords(entries[i].location)) return i;
+      }
+      return -1;
+    },
+    [entries]
+  );
+
+  const show = useCallback(
+    (index) => {
+      setCurrent(index);
+      if (index < 0) return;
+      onFocus(entries[index].location);
+      itemRefs.current.get(entries[index].key)?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    },
+    [entries, onFocus]
+  );
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      const next = step(current, 1);
+      if (next < 0) setPlaying(false);
+      else show(next);
+    }, current < 0 ? 0 : STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, current, step, show]);
+
+  if (!entries.length) {
+    return <p className="p-4 text-sm bb-muted">{t("timeline.empty")}</p>;
+  }
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex items-center gap-2 px-4 py-2 border-b border-emerald-900/40">
+        <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("timeline.previous")} disabled={step(current, -1) < 0} onClick={() => show(step(current, -1))}>
+          <SkipBack className="h-4 w-4"/>
+        </Button>
+        <Button size="sm" className="h-7 gap-1 bb-btn" aria-pressed={playing} onClick={() => setPlaying((p) => !p)}>
+          {playing ? <><Pause className="h-3 w-3"/>{t("timeline.pause")}</> : <><Play className="h-3 w-3"/>{t("timeline.play")}</>}
+        </Button>
+        <Button size="icon" className="h-7 w-7 bb-btn-outline" aria-label={t("timeline.next")} disabled={step(current, 1) < 0} onClick={() => show(step(current, 1))}>
+          <SkipForward className="h-4 w-4"/>
+        </Button>
+        <span className="ml-auto text-xs bb-muted" aria-live="polite">
+          {current >= 0
+            ? t("timeline.position", { index: formatNumber(current + 1), count: formatNumber(entries.length) })
+            : t("timeline.scenes", { count: entries.length })}
+        </span>
+      </div>
+
+      <ol className="flex-1 overflow-auto p-3 pr-4 space-y-2">
+        {entries.map((entry, i) => (
+          <li key={entry.key} ref={(el) => (el ? itemRefs.current.set(entry.key, el) : itemRefs.current.delete(entry.key))}>
+            {(i === 0 || sectionKey(entries[i - 1]) !== sectionKey(entry)) && (
+              <div className="flex items-center gap-2 pt-2 pb-1 text-xs uppercase tracking-wide text-emerald-300/80">
+                <ShowIcon show={entry.series} />{entry.series || t("episodes.other")}
+                <span>· {entry.season == null ? t("episodes.other") : t("episodes.season", { season: entry.season })}</span>
+              </div>
+            )}
+            <div className={`rounded-md border p-2 bb-card-ghost space-y-1 ${i === current ? "ring-2 ring-emerald-400" : ""}`} aria-current={i === current ? "step" : undefined}>
+              <div className="flex items-center gap-2 text-xs">
+                {entry.episodes.map((code) => (
+                  <span key={code} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{code}</span>
+                ))}
+                {!entry.episodes.length && <span className="bb-muted">{t("timeline.noEpisode")}</span>}
+              </div>
+              {entry.text && <p className="text-sm bb-scene-text">{entry.text}</p>}
+              <div className="flex items-center gap-2 text-sm">
+                {hasCoords(entry.location) ? (
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 text-emerald-200 underline decoration-emerald-400 underline-offset-4 hover:no-underline"
+                    title={t("timeline.showOnMap")}
+                    onClick={() => {
+                      setPlaying(false);
+                      show(i);
+                    }}
+                  >
+                    <MapPin className="h-3 w-3"/>{entry.location.name}
+                  </button>
+                ) : (
+                  <span className="text-emerald-100">{entry.location.name}</span>
+                )}
+                <Link className="ml-auto text-xs underline decoration-emerald-400 underline-offset-4 hover:no-underline text-emerald-200" to={locationLink(entry.location.id)}>
+                  {t("common.details")}
+                </Link>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
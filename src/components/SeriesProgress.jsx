@@ -0,0 +1,33 @@
+import React, { useMemo } from "react";
+import { Badge } from "@/components/ui/badge";
+import ShowIcon from "@/components/ShowIcon";
+import { useI18n } from "@/hooks/useI18n";
+
+// "visited / total" per series across the whole catalog (raw documents)
+export default function SeriesProgress({ catalog, visited }) {
+  const { t, formatNumber } = useI18n();
+  const rows = useMemo(() => {
+    const bySeries = new Map();
+    catalog.forEach((raw) => {
+      const id = raw._id ?? raw.id;
+      (Array.isArray(raw.series) ? raw.series : []).forEach((series) => {
+        const row = bySeries.get(series) ?? { series, total: 0, visited: 0 };
+        row.total += 1;
+        if (visited[id]) row.visited += 1;
+        bySeries.set(series, row);
+      });
+    });
+    return Array.from(bySeries.values()).sort((a, b) => b.total - a.total);
+  }, [catalog, visited]);
+
+  return rows.map(({ series, total, visited: done }) => (
+    <Badge
+      key={series}
+      variant="outline"
+      className="ml-2 gap-1 bb-badge-outline hidden md:inline-flex"
+      title={t("marks.progress", { done, total, series })}
+    >
+      <ShowIcon show={series} />{formatNumber(done)}/{formatNumber(total)}
+    </Badge>
+  ));
+}
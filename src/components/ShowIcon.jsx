@@ -0,0 +1,38 @@
+import React from "react";
+import { Scale, Car } from "lucide-react";
+import { showKind, showInitials } from "@/lib/shows";
+
+// Small helper to render show-specific icons in results
+export default function ShowIcon({ show }) {
+  const kind = showKind(show);
+
+  if (kind === "bb") {
+    return (
+      <span className="flex items-center gap-[2px]" title="Breaking Bad" aria-label="Breaking Bad">
+        <span className="bb-show-tile">Br</span>
+      </span>
+    );
+  }
+  if (kind === "bcs") {
+    return (
+      <span className="bb-show-pill" title="Better Call Saul" aria-label="Better Call Saul">
+        <Scale className="h-3 w-3" />
+        <span className="sr-only">Better Call Saul</span>
+      </span>
+    );
+  }
+  if (kind === "ec") {
+    return (
+      <span className="bb-show-pill" title="El Camino" aria-label="El Camino">
+        <Car className="h-3 w-3" />
+        <span className="sr-only">El Camino</span>
+      </span>
+    );
+  }
+  // Fallback: initials pill (e.g., “M” for Metástasis)
+  return (
+    <span className="bb-show-pill" title={String(show)} aria-label={String(show)}>
+      {showInitials(show)}
+    </span>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, BarChart3, Film, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import ShowIcon from "@/components/ShowIcon";
+import { useI18n } from "@/hooks/useI18n";
+import { accessLabel, mapLocation } from "@/lib/locations";
+import { catalogStats, seriesColor } from "@/lib/stats";
+import { SHOW_KINDS } from "@/lib/shows";
+
+const CITY_ROWS = 12;
+
+// Horizontal bars scaled to the largest value; rows are { key, label, value, color? }
+function BarChart({ rows }) {
+  const { formatNumber } = useI18n();
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <ul className="space-y-1.5">
+      {rows.map((row) => (
+        <li key={row.key} className="grid grid-cols-[minmax(0,10rem)_1fr_auto] items-center gap-2 text-sm">
+          <span className="truncate bb-txt" title={typeof row.label === "string" ? row.label : undefined}>{row.label}</span>
+          <span className="h-3 rounded-sm bg-emerald-900/40" aria-hidden="true">
+            <span
+              className="block h-full rounded-sm bg-emerald-400"
+              style={{ width: `${(row.value / max) * 100}%`, background: row.color }}
+            />
+          </span>
+          <span className="text-xs tabular-nums bb-muted">{formatNumber(row.value)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Panel({ title, children, className = "" }) {
+  return (
+    <Card className={`bb-card bb-glow ${className}`}>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base text-emerald-100">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>{children}</CardContent>
+    </Card>
+  );
+}
+
+// Catalog overview: where the data is thin, by series, access, city and episode
+export default function StatsDashboard({ catalog, loading, error, backTo, locationLink }) {
+  const { t, formatNumber } = useI18n();
+  const stats = useMemo(() => catalogStats(catalog.map(mapLocation)), [catalog]);
+
+  const back = (
+    <Link to={backTo} className="inline-flex items-center gap-1 text-sm text-emerald-200 underline decoration-emerald-400 underline-offset-4 hover:no-underline">
+      <ArrowLeft className="h-4 w-4"/>{t("stats.back")}
+    </Link>
+  );
+
+  if (!stats.total) {
+    return (
+      <div className="space-y-3">
+        {back}
+        {error && !loading ? (
+          <div className="text-sm text-red-300">{t("stats.loadError", { error })}</div>
+        ) : (
+          <div className="flex items-center gap-2 text-emerald-200">
+            {loading ? <><Loader2 className="h-5 w-5 animate-spin"/>{t("common.loading")}</> : t("stats.empty")}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const cities = stats.byCity.slice(0, CITY_ROWS);
+  const exclusiveTiles = [
+    { key: "bb", label: t("stats.bbOnly"), value: stats.exclusive.bb, shows: [SHOW_KINDS.bb.label] },
+    { key: "bcs", label: t("stats.bcsOnly"), value: stats.exclusive.bcs, shows: [SHOW_KINDS.bcs.label] },
+    { key: "both", label: t("stats.both"), value: stats.exclusive.both, shows: [SHOW_KINDS.bb.label, SHOW_KINDS.bcs.label] },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3">
+        {back}
+        <h2 className="ml-auto flex items-center gap-2 text-lg font-semibold text-emerald-50">
+          <BarChart3 className="h-5 w-5"/>{t("stats.title")}
+        </h2>
+        <span className="text-sm bb-muted">{t("app.total", { count: stats.total })}</span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {exclusiveTiles.map((tile) => (
+          <Card key={tile.key} className="bb-card bb-glow">
+            <CardContent className="p-4 space-y-1">
+              <div className="flex items-center gap-1 text-sm bb-muted">
+                {tile.shows.map((s) => <ShowIcon key={s} show={s} />)}{tile.label}
+              </div>
+              <div className="text-3xl font-extrabold text-emerald-50 tabular-nums">{formatNumber(tile.value)}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <Panel title={t("stats.bySeries")}>
+          <BarChart
+            rows={stats.bySeries.map(({ key, value }) => ({
+              key,
+              value,
+              color: seriesColor(key),
+              label: <span className="inline-flex items-center gap-1"><ShowIcon show={key} />{key}</span>,
+            }))}
+          />
+        </Panel>
+
+        <Panel title={t("stats.byAccess")}>
+          <BarChart rows={stats.byAccess.map(({ key, value }) => ({ key, value, label: accessLabel(key, t) }))} />
+        </Panel>
+
+        <Panel title={t("stats.byCity")}>
+          <BarChart rows={cities.map(({ key, value }) => ({ key, value, label: key || t("stats.noCity") }))} />
+          {stats.byCity.length > cities.length && (
+            <p className="pt-2 text-xs bb-muted">{t("common.more", { count: stats.byCity.length - cities.length })}</p>
+          )}
+        </Panel>
+
+        <Panel title={t("stats.seasons")}>
+          <div className="space-y-3">
+            {!stats.seasons.length && <p className="text-sm bb-muted">{t("episodes.empty")}</p>}
+            {stats.seasons.map(({ series, seasons }) => (
+              <div key={series} className="space-y-1">
+                <div className="flex items-center gap-1 text-sm font-semibold text-emerald-100">
+                  <ShowIcon show={series} />{series || t("episodes.other")}
+                </div>
+                <BarChart
+                  rows={seasons.map(({ season, episodes }) => ({
+                    key: String(season),
+                    value: episodes,
+                    color: seriesColor(series),
+                    label: season != null ? t("episodes.season", { season }) : t("episodes.other"),
+                  }))}
+                />
+              </div>
+            ))}
+          </div>
+        </Panel>
+
+        <Panel title={t("stats.topLocations")} className="lg:col-span-2">
+          <ol className="space-y-1.5">
+            {stats.topLocations.map(({ location: loc, episodes }, i) => (
+              <li key={loc.id} className="flex items-center gap-2 text-sm">
+                <span className="w-6 text-right tabular-nums bb-muted">{formatNumber(i + 1)}.</span>
+                <Link to={locationLink(loc.id)} className="truncate text-emerald-50 hover:underline underline-offset-4">{loc.name}</Link>
+                {loc.series.map((s, j) => <ShowIcon key={j} show={String(s)} />)}
+                <span className="ml-auto flex items-center gap-1 text-xs bb-muted">
+                  <Film className="h-3 w-3"/>{t("stats.episodeCount", { count: episodes })}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </Panel>
+      </div>
+    </div>
+  );
+}
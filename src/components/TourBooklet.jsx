@@ -0,0 +1,135 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { MapContainer, TileLayer, Marker, Circle } from "react-leaflet";
+import L from "leaflet";
+import { ArrowLeft, Film, MapPin, Printer } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import ShowIcon from "@/components/ShowIcon";
+import PrivacyNotice from "@/components/PrivacyNotice";
+import { useI18n } from "@/hooks/useI18n";
+import { hasCoords } from "@/lib/geo";
+import { accessLabel, formatAddress, sceneText } from "@/lib/locations";
+import { markerIcon } from "@/lib/markerIcons";
+import { THEMES } from "@/lib/themes";
+
+// Paper is light, whatever the screen theme
+const TILES = THEMES.light.tiles;
+
+// Still maps: no controls or gestures, just tiles and pins
+const STATIC_MAP = {
+  zoomControl: false,
+  dragging: false,
+  scrollWheelZoom: false,
+  doubleClickZoom: false,
+  touchZoom: false,
+  boxZoom: false,
+  keyboard: false,
+};
+
+const numberIcon = (n) =>
+  L.divIcon({ className: "bb-num-icon", html: `<span class="bb-num-pin">${n}</span>`, iconSize: [24, 24], iconAnchor: [12, 12] });
+
+function StopMap({ stop }) {
+  return (
+    <MapContainer {...STATIC_MAP} center={[stop.lat, stop.lng]} zoom={stop.privacy ? 15 : 16} className="h-[180px] w-full rounded-md">
+      <TileLayer attribution={TILES.attribution} url={TILES.url} />
+      {stop.privacy ? (
+        <Circle center={[stop.lat, stop.lng]} radius={stop.privacy.radiusM} pathOptions={{ weight: 1, dashArray: "4 6", className: "bb-privacy-circle" }} />
+      ) : (
+        <Marker position={[stop.lat, stop.lng]} icon={markerIcon(stop)} interactive={false} />
+      )}
+    </MapContainer>
+  );
+}
+
+/**
+ * Printable booklet: a cover with a numbered overview map and the stop list,
+ * then one block per stop with its details and a small map. The toolbar is
+ * screen-only; page breaks come from the `.bb-booklet-*` print rules in App.
+ */
+export default function TourBooklet({ stops, fromItinerary, backTo }) {
+  const { t } = useI18n();
+  const points = stops.filter(hasCoords).map((s) => [s.lat, s.lng]);
+
+  return (
+    <div className="bb-booklet space-y-6">
+      <div className="flex items-center gap-3 print:hidden">
+        <Link to={backTo} className="inline-flex items-center gap-1 text-sm text-emerald-200 underline decoration-emerald-400 underline-offset-4 hover:no-underline">
+          <ArrowLeft className="h-4 w-4"/>{t("booklet.back")}
+        </Link>
+        <span className="ml-auto text-sm bb-muted">{fromItinerary ? t("booklet.fromItinerary") : t("booklet.fromResults")}</span>
+        <Button size="sm" className="bb-btn gap-2" disabled={!stops.length} onClick={() => window.print()}>
+          <Printer className="h-4 w-4"/>{t("booklet.print")}
+        </Button>
+      </div>
+
+      {!stops.length ? (
+        <p className="text-sm bb-muted">{t("booklet.empty")}</p>
+      ) : (
+        <>
+          <section className="bb-booklet-cover space-y-4">
+            <h2 className="text-2xl font-extrabold text-emerald-50">{t("app.title")}</h2>
+            <p className="text-sm bb-muted">{t("itinerary.stops", { count: stops.length })}</p>
+            {points.length > 0 && (
+              <MapContainer {...STATIC_MAP} bounds={points} boundsOptions={{ padding: [30, 30], maxZoom: 15 }} className="h-[380px] w-full rounded-lg">
+                <TileLayer attribution={TILES.attribution} url={TILES.url} />
+                {stops.map((stop, i) => hasCoords(stop) && (
+                  <Marker key={stop.id} position={[stop.lat, stop.lng]} icon={numberIcon(i + 1)} interactive={false} />
+                ))}
+              </MapContainer>
+            )}
+            <ol className="grid grid-cols-1 sm:grid-cols-2 print:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+              {stops.map((stop, i) => (
+                <li key={stop.id} className="flex items-baseline gap-2">
+                  <span className="bb-num-pin shrink-0">{i + 1}</span>
+                  <span className="truncate text-emerald-50">{stop.name}</span>
+                  <span className="truncate text-xs bb-muted">{stop.city}</span>
+                </li>
+              ))}
+            </ol>
+          </section>
+
+          {stops.map((stop, i) => (
+            <section key={stop.id} className="bb-booklet-stop rounded-lg border p-4 bb-card-ghost grid grid-cols-1 md:grid-cols-[1fr_240px] print:grid-cols-[1fr_240px] gap-4">
+              <div className="space-y-2 min-w-0">
+                <h3 className="flex items-center gap-2 text-lg font-semibold text-emerald-50">
+                  <span className="bb-num-pin shrink-0">{i + 1}</span>
+                  {stop.name}
+                  {(stop.series || []).map((s, j) => <ShowIcon key={j} show={String(s)} />)}
+                </h3>
+                <div className="flex items-center gap-2 text-sm text-emerald-200/90">
+                  <MapPin className="h-4 w-4"/>{formatAddress(stop) || t("common.none")}
+                </div>
+                <div className="text-xs uppercase tracking-wide text-emerald-300/80">{accessLabel(stop.access, t)}</div>
+                {stop.privacy && <PrivacyNotice />}
+                {Boolean(stop.episodes?.length) && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <Film className="h-3 w-3 text-emerald-200"/>
+                    {stop.episodes.map((ep, j) => (
+                      <span key={j} className="text-[11px] leading-4 bb-chip px-1.5 py-0.5">{ep}</span>
+                    ))}
+                  </div>
+                )}
+                {stop.notes && <p className="text-sm text-emerald-100/90 whitespace-pre-line">{stop.notes}</p>}
+                {stop.scenes?.some(sceneText) && (
+                  <div className="space-y-1">
+                    <h4 className="text-sm font-semibold text-emerald-100">{t("detail.scenes")}</h4>
+                    <ul className="list-disc pl-5 space-y-1 text-sm bb-scene-text">
+                      {stop.scenes.filter(sceneText).map((scene, j) => (
+                        <li key={j}>
+                          {sceneText(scene)}
+                          {Boolean(scene.episodes?.length) && <span className="bb-muted"> · {scene.episodes.join(", ")}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+              {hasCoords(stop) && <StopMap stop={stop} />}
+            </section>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/components/ui/sheet";
+import { QrCode as QrIcon, Copy, Check } from "lucide-react";
+import QrCode from "@/components/QrCode";
+import { useI18n } from "@/hooks/useI18n";
+import { tourUrl } from "@/lib/tourLink";
+
+// Share link + QR code for the current stops, for a guest card at the start of a tour
+export default function TourShare({ stops }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const url = useMemo(() => (stops.length ? tourUrl(stops.map((s) => s.id)) : ""), [stops]);
+
+  const copy = () =>
+    navigator.clipboard?.writeText(url).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+
+  return (
+    <Sheet>
+      <SheetTrigger asChild>
+        <Button size="sm" className="bb-btn-outline gap-2" disabled={!stops.length}>
+          <QrIcon className="h-4 w-4"/>{t("share.button")}
+        </Button>
+      </SheetTrigger>
+      <SheetContent side="right" className="w-[360px] sm:w-[420px] bb-card bb-glow overflow-auto">
+        <SheetHeader>
+          <SheetTitle className="bb-txt">{t("share.title")}</SheetTitle>
+        </SheetHeader>
+        {url && (
+          <div className="space-y-4 py-4">
+            <p className="text-sm bb-muted">{t("share.hint", { count: stops.length })}</p>
+            <div className="grid place-items-center rounded-lg bg-white p-3">
+              <QrCode
+                value={url}
+                size={240}
+                title={t("share.qrLabel")}
+                fallback={<p className="text-sm text-center text-black">{t("share.tooLong")}</p>}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Input className="bb-input text-xs" readOnly value={url} aria-label={t("share.link")} onFocus={(e) => e.target.select()} />
+              <Button size="sm" className="h-9 gap-1 bb-btn" onClick={copy}>
+                {copied ? <><Check className="h-4 w-4"/>{t("share.copied")}</> : <><Copy className="h-4 w-4"/>{t("share.copy")}</>}
+              </Button>
+            </div>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { useVirtualizer } from "@tanstack/react-virtual";
+
+const GAP = 12; // px, matches gap-3
+const TWO_COLUMN_MIN_WIDTH = 560;
+
+/**
+ * Windowed one/two-column card list with infinite scroll. Only the cards
+ * near the viewport are mounted; `onEndReached` fires when the last few are
+ * on screen. `scrollKey` identifies the list: when it changes the scroll
+ * offset jumps to `initialScroll` (the offset remembered for that list).
+ * A new `activeKey` scrolls that card into view.
+ */
+export default function VirtualCardList({
+  items,
+  getKey,
+  renderItem,
+  onEndReached,
+  footer,
+  scrollKey,
+  initialScroll = 0,
+  onScroll,
+  activeKey = null,
+  estimateSize = 240,
+  endThreshold = 4,
+}) {
+  const parentRef = useRef(null);
+  const [lanes, setLanes] = useState(1);
+
+  useEffect(() => {
+    const el = parentRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) => setLanes(entry.contentRect.width >= TWO_COLUMN_MIN_WIDTH ? 2 : 1));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const virtualizer = useVirtualizer({
+    count: items.length,
+    getScrollElement: () => parentRef.current,
+    estimateSize: () => estimateSize,
+    getItemKey: (i) => getKey(items[i]),
+    overscan: 6,
+    gap: GAP,
+    lanes,
+  });
+  const virtualItems = virtualizer.getVirtualItems();
+
+  const lastIndex = virtualItems.length ? virtualItems[virtualItems.length - 1].index : -1;
+  useEffect(() => {
+    if (lastIndex >= items.length - endThreshold) onEndReached?.();
+  }, [lastIndex, items.length, endThreshold, onEndReached]);
+
+  // Follow selection changes only, not every appended page
+  const itemsRef = useRef({ items, getKey });
+  useLayoutEffect(() => {
+    itemsRef.current = { items, getKey };
+  }, [items, getKey]);
+
+  useEffect(() => {
+    if (activeKey == null) return;
+    const { items: list, getKey: keyOf } = itemsRef.current;
+    const index = list.findIndex((item) => keyOf(item) === activeKey);
+    if (index >= 0) virtualizer.scrollToIndex(index, { align: "auto" });
+  }, [activeKey, virtualizer]);
+
+  // initialScroll follows every scroll event; only read it on list switches
+  const initialScrollRef = useRef(initialScroll);
+  useLayoutEffect(() => {
+    initialScrollRef.current = initialScroll;
+  }, [initialScroll]);
+
+  // Restore the remembered offset when switching lists
+  useLayoutEffect(() => {
+    if (parentRef.current) parentRef.current.scrollTop = initialScrollRef.current;
+  }, [scrollKey]);
+
+  const width = lanes > 1 ? `calc((100% - ${GAP * (lanes - 1)}px) / ${lanes})` : "100%";
+  return (
+    <div ref={parentRef} className="h-full overflow-auto p-3 pr-4" onScroll={(e) => onScroll?.(e.currentTarget.scrollTop)}>
+      <div className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+        {virtualItems.map((row) => (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            className="absolute top-0"
+            style={{ width, left: `calc(${row.lane} * (${width} + ${GAP}px))`, transform: `translateY(${row.start}px)` }}
+          >
+            {renderItem(items[row.index])}
+          </div>
+        ))}
+      </div>
+      {footer}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { useCallback, useState } from "react";
+
+// PositionError codes → message keys (geo.*)
+const ERROR_KEYS = { 1: "geo.denied", 2: "geo.unavailable", 3: "geo.timeout" };
+
+/**
+ * One-shot browser geolocation. `locate()` asks for the current position
+ * (prompting for permission the first time); `clear()` forgets it.
+ * `error` is a message key for the i18n `t`.
+ */
+export function useGeolocation() {
+  const [state, setState] = useState({ position: null, error: null, locating: false });
+
+  const locate = useCallback(() => {
+    if (!("geolocation" in navigator)) {
+      setState({ position: null, error: "geo.unsupported", locating: false });
+      return;
+    }
+    setState((s) => ({ ...s, error: null, locating: true }));
+    navigator.geolocation.getCurrentPosition(
+      (pos) =>
+        setState({
+          position: { lat: pos.coords.latitude, lng: pos.coords.longitude, accuracy: pos.coords.accuracy },
+          error: null,
+          locating: false,
+        }),
+      (err) => setState({ position: null, error: ERROR_KEYS[err.code] ?? "geo.unavailable", locating: false }),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  }, []);
+
+  const clear = useCallback(() => setState({ position: null, error: null, locating: false }), []);
+
+  return { ...state, locate, clear };
+}
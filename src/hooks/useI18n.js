@@ -0,0 +1,5 @@
+import { useContext } from "react";
+import { I18nContext } from "@/lib/i18n";
+
+// Active locale, its setter, `t(key, params)` and `formatNumber(n, options)`
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const EMPTY = { key: null, items: [], totalPages: 0, totalElements: 0, loaded: 0 };
+
+// Lists kept in memory; view-driven keys (map bounds, sort center) add a new
+// one on every pan, so only the most recently used few are kept
+const MAX_CACHED = 5;
+
+// Insert or refresh `key` as most recently used, dropping the oldest beyond the cap
+function touch(cache, key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+  while (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+}
+
+/**
+ * Pages of `fetchPage(pageIndex, signal)` appended into one list.
+ *
+ * `key` identifies the query: a new key starts over from page 0, and a key
+ * seen before is restored from memory together with its scroll offset
+ * (see rememberScroll), unless `cacheable` is false; only the last
+ * MAX_CACHED keys are remembered. A new `fetchPage` with the same key
+ * reloads in place. Superseded requests are aborted.
+ */
+export function useInfiniteList(key, fetchPage, { cacheable = true } = {}) {
+  const [list, setList] = useState(EMPTY);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const cache = useRef(new Map()); // key → { list, scrollTop }, oldest first
+  const controllerRef = useRef(null);
+  const keyRef = useRef(null);
+
+  const load = useCallback(
+    (pageIndex) => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setLoading(true);
+      setError(null);
+      fetchPage(pageIndex, controller.signal)
+        .then((page) => {
+          if (controller.signal.aborted) return;
+          setList((prev) => {
+            const next = {
+              key,
+              items: pageIndex === 0 || prev.key !== key ? page.content : [...prev.items, ...page.content],
+              totalPages: page.totalPages,
+              totalElements: page.totalElements,
+              loaded: pageIndex + 1,
+            };
+            touch(cache.current, key, { list: next, scrollTop: cache.current.get(key)?.scrollTop ?? 0 });
+            return next;
+          });
+        })
+        .catch((e) => !controller.signal.aborted && setError(e.message))
+        .finally(() => !controller.signal.aborted && setLoading(false));
+    },
+    [key, fetchPage]
+  );
+
+  useEffect(() => {
+    const switched = keyRef.current !== key;
+    keyRef.current = key;
+    const saved = cacheable && switched ? cache.current.get(key) : null;
+    if (saved) {
+      touch(cache.current, key, saved);
+      controllerRef.current?.abort();
+      setList(saved.list);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+    if (switched) {
+      cache.current.delete(key);
+      setList({ ...EMPTY, key });
+    }
+    load(0);
+  }, [key, cacheable, load]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const hasMore = list.key === key && list.loaded < list.totalPages;
+  const loadMore = useCallback(() => {
+    if (!loading && !error && hasMore) load(list.loaded);
+  }, [loading, error, hasMore, load, list.loaded]);
+
+  // Try the failed page again
+  const retry = useCallback(() => load(list.key === key ? list.loaded : 0), [load, list.key, list.loaded, key]);
+
+  // Scroll offsets belong to the list on screen, which may lag behind `key`
+  const rememberScroll = useCallback(
+    (scrollTop) => {
+      const entry = cache.current.get(list.key);
+      if (entry) entry.scrollTop = scrollTop;
+    },
+    [list.key]
+  );
+
+  return {
+    key: list.key,
+    items: list.items,
+    totalPages: list.totalPages,
+    totalElements: list.totalElements,
+    loading,
+    error,
+    hasMore,
+    loadMore,
+    retry,
+    rememberScroll,
+    scrollTop: cache.current.get(list.key)?.scrollTop ?? 0,
+  };
+}
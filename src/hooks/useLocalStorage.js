@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+
+const read = (key, initialValue) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw == null ? initialValue : JSON.parse(raw);
+  } catch {
+    return initialValue;
+  }
+};
+
+/**
+ * useState that persists to localStorage (JSON) and follows changes made in
+ * other tabs. Storage failures (private mode, quota) degrade to memory only.
+ */
+export function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(() => read(key, initialValue));
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // ignore: the value still lives in memory for this session
+    }
+  }, [key, value]);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === key) setValue(read(key, initialValue));
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [key, initialValue]);
+
+  return [value, setValue];
+}
@@ -0,0 +1,32 @@
+import { useCallback, useMemo } from "react";
+import { useLocalStorage } from "@/hooks/useLocalStorage";
+
+const EMPTY = { visited: {}, favorite: {} };
+
+// Visited / favorite flags per location id, persisted in localStorage
+export function useLocationMarks() {
+  const [marks, setMarks] = useLocalStorage("bbtour.marks", EMPTY);
+
+  const toggle = useCallback(
+    (kind, id) =>
+      setMarks((m) => {
+        const next = { ...(m?.[kind] ?? {}) };
+        if (next[id]) delete next[id];
+        else next[id] = true;
+        return { ...EMPTY, ...m, [kind]: next };
+      }),
+    [setMarks]
+  );
+
+  return useMemo(
+    () => ({
+      visited: marks?.visited ?? {},
+      favorite: marks?.favorite ?? {},
+      isVisited: (id) => Boolean(marks?.visited?.[id]),
+      isFavorite: (id) => Boolean(marks?.favorite?.[id]),
+      toggleVisited: (id) => toggle("visited", id),
+      toggleFavorite: (id) => toggle("favorite", id),
+    }),
+    [marks, toggle]
+  );
+}
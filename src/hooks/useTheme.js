@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+import { useLocalStorage } from "@/hooks/useLocalStorage";
+import { resolveTheme } from "@/lib/themes";
+
+/**
+ * Saved theme choice ("system" | "dark" | "light" | "contrast") and the
+ * theme actually applied. "system" follows prefers-color-scheme and
+ * prefers-contrast live. The resolved name is set on <html data-bb-theme>.
+ */
+export function useTheme() {
+  const [choice, setChoice] = useLocalStorage("bbtour.theme", "system");
+  const [resolved, setResolved] = useState(() => resolveTheme(choice));
+
+  useEffect(() => {
+    setResolved(resolveTheme(choice));
+    if (choice !== "system" || !window.matchMedia) return;
+    const queries = ["(prefers-color-scheme: light)", "(prefers-contrast: more)"].map((q) => window.matchMedia(q));
+    const onChange = () => setResolved(resolveTheme("system"));
+    queries.forEach((mq) => mq.addEventListener("change", onChange));
+    return () => queries.forEach((mq) => mq.removeEventListener("change", onChange));
+  }, [choice]);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.dataset.bbTheme = resolved;
+    root.style.colorScheme = resolved === "light" ? "light" : "dark";
+  }, [resolved]);
+
+  return { choice, setChoice, theme: resolved };
+}
@@ -0,0 +1,50 @@
+import { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+
+/**
+ * UI state stored in the URL query string.
+ *
+ * `fields` maps state keys to { param, defaultValue, parse?, serialize? }.
+ * Values equal to their default are left out of the URL to keep links short.
+ * Always pass every changed key in a single `update` call: consecutive
+ * setSearchParams calls in one tick overwrite each other.
+ */
+export function useUrlState(fields) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const state = useMemo(() => {
+    const out = {};
+    Object.entries(fields).forEach(([key, f]) => {
+      const raw = searchParams.get(f.param);
+      out[key] = raw == null ? f.defaultValue : f.parse ? f.parse(raw, f.defaultValue) : raw;
+    });
+    return out;
+  }, [searchParams, fields]);
+
+  const update = useCallback(
+    (patch, { replace = false } = {}) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(patch).forEach(([key, value]) => {
+            const f = fields[key];
+            if (!f) return;
+            if (value == null || value === "" || value === f.defaultValue) next.delete(f.param);
+            else next.set(f.param, f.serialize ? f.serialize(value) : String(value));
+          });
+          return next;
+        },
+        { replace }
+      );
+    },
+    [fields, setSearchParams]
+  );
+
+  return [state, update];
+}
+
+// Integer parser clamped to [min, max]; falls back to the field default
+export const intParam = (min, max) => (raw, fallback) => {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
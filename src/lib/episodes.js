@@ -0,0 +1,110 @@
+import { SHOW_KINDS, showKind } from "@/lib/shows";
+
+// Episode strings come in a few shapes: "S05E14", "5x14", "Season 5 Episode 14",
+// optionally prefixed with the show ("BCS S02E03", "Breaking Bad 5x14").
+const EPISODE_PATTERNS = [
+  /s(\d{1,2})\s*[.:-]?\s*e(\d{1,3})/i,
+  /\b(\d{1,2})x(\d{1,3})\b/i,
+  /season\s*(\d{1,2})\D+?episode\s*(\d{1,3})/i,
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Series named inside the episode string itself, if any
+function seriesInText(text) {
+  if (/\bbcs\b/i.test(text)) return SHOW_KINDS.bcs.label;
+  if (/\bbb\b|\bbrba\b/i.test(text)) return SHOW_KINDS.bb.label;
+  const kind = showKind(text);
+  return kind === "other" ? null : SHOW_KINDS[kind].label;
+}
+
+/**
+ * Parse one episode string into { key, series, season, episode, code }.
+ * `fallbackSeries` is used when the string does not name its show (the
+ * scene's or location's series, typically); series is "" when neither
+ * does. Films/unparseable strings get season = episode = null and keep the
+ * raw text as their code.
+ */
+export function parseEpisode(raw, fallbackSeries = "") {
+  const text = String(raw ?? "").trim();
+  const series = seriesInText(text) || fallbackSeries;
+  let season = null;
+  let episode = null;
+  for (const re of EPISODE_PATTERNS) {
+    const m = text.match(re);
+    if (m) {
+      season = Number(m[1]);
+      episode = Number(m[2]);
+      break;
+    }
+  }
+  const code = season != null ? `S${pad(season)}E${pad(episode)}` : text;
+  return { key: `${showKind(series)}:${code}`, series, season, episode, code };
+}
+
+// Parsed episodes of a location (raw document or mapLocation output). Scenes
+// without their own `series` belong to the location's first listed series;
+// only scenes from the other shows carry one.
+export function locationEpisodes(loc) {
+  const series = Array.isArray(loc?.series) ? loc.series : [];
+  const fallback = series.length ? String(series[0]) : "";
+  const seen = new Map();
+  (Array.isArray(loc?.scenes) ? loc.scenes : []).forEach((scene) => {
+    const sceneSeries = scene?.series ? String(scene.series) : fallback;
+    (Array.isArray(scene?.episodes) ? scene.episodes : []).forEach((e) => {
+      const parsed = parseEpisode(e, sceneSeries);
+      if (!seen.has(parsed.key)) seen.set(parsed.key, parsed);
+    });
+  });
+  return Array.from(seen.values());
+}
+
+export const hasEpisode = (loc, key) => locationEpisodes(loc).some((e) => e.key === key);
+
+// Display order of SHOW_KINDS keys (episode index, stats, timeline)
+export const SERIES_ORDER = ["bb", "bcs", "ec", "other"];
+
+/**
+ * Series → seasons → episodes index with the number of locations per episode:
+ * [{ series, seasons: [{ season, episodes: [{ key, code, episode, count }] }] }]
+ */
+export function buildEpisodeIndex(locations) {
+  const bySeries = new Map();
+  locations.forEach((loc) => {
+    locationEpisodes(loc).forEach((e) => {
+      if (!bySeries.has(e.series)) bySeries.set(e.series, new Map());
+      const episodes = bySeries.get(e.series);
+      const entry = episodes.get(e.key) ?? { ...e, count: 0 };
+      entry.count += 1;
+      episodes.set(e.key, entry);
+    });
+  });
+
+  return Array.from(bySeries.entries())
+    .sort(([a], [b]) => SERIES_ORDER.indexOf(showKind(a)) - SERIES_ORDER.indexOf(showKind(b)) || a.localeCompare(b))
+    .map(([series, episodes]) => {
+      const seasons = new Map();
+      episodes.forEach((e) => {
+        const list = seasons.get(e.season) ?? [];
+        list.push(e);
+        seasons.set(e.season, list);
+      });
+      return {
+        series,
+        seasons: Array.from(seasons.entries())
+          .sort(([a], [b]) => (a ?? Infinity) - (b ?? Infinity))
+          .map(([season, list]) => ({
+            season,
+            episodes: list.sort((a, b) => (a.episode ?? 0) - (b.episode ?? 0) || a.code.localeCompare(b.code)),
+          })),
+      };
+    });
+}
+
+// Display label for an index key, e.g. "Breaking Bad S05E14"
+export function episodeKeyLabel(key) {
+  const [kind, ...rest] = String(key).split(":");
+  const code = rest.join(":");
+  const label = kind !== "other" ? SHOW_KINDS[kind]?.label : null;
+  return label && !code.toLowerCase().includes(label.toLowerCase()) ? `${label} ${code}` : code;
+}
@@ -0,0 +1,116 @@
+import { hasCoords } from "@/lib/geo";
+import { accessLabel, formatAddress } from "@/lib/locations";
+
+// Serialize UI locations (see mapLocation) for GPS apps and GIS tools.
+// Every format keeps name, address, access, series and episodes.
+
+const xmlEscape = (v) =>
+  String(v ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+
+// Plain-text summary used as the waypoint/placemark description
+const describe = (loc) =>
+  [
+    formatAddress(loc),
+    `Access: ${accessLabel(loc.access)}`,
+    loc.series.length ? `Series: ${loc.series.join(", ")}` : "",
+    loc.episodes.length ? `Episodes: ${loc.episodes.join(", ")}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+export function toGeoJSON(locations) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: locations.map((loc) => ({
+        type: "Feature",
+        id: loc.id,
+        geometry: hasCoords(loc) ? { type: "Point", coordinates: [loc.lng, loc.lat] } : null,
+        properties: {
+          name: loc.name,
+          address: loc.address,
+          city: loc.city,
+          state: loc.state,
+          access: loc.access,
+          series: loc.series,
+          episodes: loc.episodes,
+        },
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// GPX waypoints; with `route` the stops are also emitted as an ordered <rte>
+export function toGPX(locations, { name = "Breaking Bad Tour", route = false } = {}) {
+  const pts = locations.filter(hasCoords);
+  const point = (tag, loc) =>
+    `  <${tag} lat="${loc.lat}" lon="${loc.lng}">
+    <name>${xmlEscape(loc.name)}</name>
+    <desc>${xmlEscape(describe(loc))}</desc>
+    <type>${xmlEscape(loc.access)}</type>
+  </${tag}>`;
+  const rte = `  <rte>
+  <name>${xmlEscape(name)}</name>
+${pts.map((loc) => point("rtept", loc)).join("\n")}
+  </rte>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="bbtour-ui" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xmlEscape(name)}</name></metadata>
+${[...pts.map((loc) => point("wpt", loc)), route ? rte : ""].filter(Boolean).join("\n")}
+</gpx>
+`;
+}
+
+// KML placemarks; with `route` a LineString through the stops is added
+export function toKML(locations, { name = "Breaking Bad Tour", route = false } = {}) {
+  const pts = locations.filter(hasCoords);
+  const data = (key, value) => `        <Data name="${key}"><value>${xmlEscape(value)}</value></Data>`;
+  const placemarks = pts.map(
+    (loc) => `    <Placemark>
+      <name>${xmlEscape(loc.name)}</name>
+      <address>${xmlEscape(formatAddress(loc))}</address>
+      <description>${xmlEscape(describe(loc))}</description>
+      <ExtendedData>
+${data("access", loc.access)}
+${data("series", loc.series.join(", "))}
+${data("episodes", loc.episodes.join(", "))}
+      </ExtendedData>
+      <Point><coordinates>${loc.lng},${loc.lat},0</coordinates></Point>
+    </Placemark>`
+  );
+  const line =
+    route && pts.length > 1
+      ? `    <Placemark>
+      <name>${xmlEscape(name)} route</name>
+      <LineString><tessellate>1</tessellate><coordinates>${pts.map((l) => `${l.lng},${l.lat},0`).join(" ")}</coordinates></LineString>
+    </Placemark>`
+      : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(name)}</name>
+${[...placemarks, line].filter(Boolean).join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { label: "GPX", ext: "gpx", mime: "application/gpx+xml", build: toGPX },
+  kml: { label: "KML", ext: "kml", mime: "application/vnd.google-earth.kml+xml", build: toKML },
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json", build: toGeoJSON },
+};
+
+// Trigger a browser download of `text`
+export function downloadText(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,64 @@
+// Geographic helpers shared by the map, itinerary and distance features
+
+const EARTH_RADIUS_KM = 6371.0088;
+export const KM_PER_MILE = 1.609344;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// True when a UI location (see mapLocation) has usable coordinates
+export const hasCoords = (loc) => Number.isFinite(loc?.lat) && Number.isFinite(loc?.lng);
+
+// Great-circle distance in kilometres between two { lat, lng } points
+export function haversineKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Human-friendly distance (tours run in the US, so miles first), with
+// digits formatted for `locale`
+export function formatDistance(km, locale = "en-US") {
+  if (!Number.isFinite(km)) return "—";
+  const mi = km / KM_PER_MILE;
+  const digits = mi < 10 ? 1 : 0;
+  return `${new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(mi)} mi`;
+}
+
+// Google Maps link; with an origin it opens directions from there
+export function mapsUrl(loc, origin = null) {
+  const dest = `${loc.lat},${loc.lng}`;
+  if (origin && hasCoords(origin)) {
+    return `https://www.google.com/maps/dir/?api=1&origin=${origin.lat},${origin.lng}&destination=${dest}`;
+  }
+  return `https://www.google.com/maps?q=${dest}`;
+}
+
+// Map bounds as the API's `bbox` param: "west,south,east,north" (lng/lat),
+// rounded so tiny pans do not produce a new query
+export const bboxParam = ({ west, south, east, north }) =>
+  [west, south, east, north].map((n) => n.toFixed(4)).join(",");
+
+// Inverse of bboxParam; null for anything malformed
+export function parseBbox(text) {
+  const parts = String(text ?? "").split(",").map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [west, south, east, north] = parts;
+  return { west, south, east, north };
+}
+
+// Middle of a bbox (see parseBbox) as { lat, lng }
+export const bboxCenter = ({ west, south, east, north }) => ({ lat: (south + north) / 2, lng: (west + east) / 2 });
+
+// `bbox` (see parseBbox) grown by `meters` on every side
+export function widenBbox({ west, south, east, north }, meters) {
+  const dLat = meters / (EARTH_RADIUS_KM * 1000 * toRad(1));
+  const dLng = dLat / Math.cos(toRad(Math.max(Math.abs(south), Math.abs(north))));
+  return { west: west - dLng, south: south - dLat, east: east + dLng, north: north + dLat };
+}
+
+// True when a UI location lies inside `bbox` (see parseBbox)
+export const inBbox = (loc, bbox) =>
+  hasCoords(loc) && loc.lat >= bbox.south && loc.lat <= bbox.north && loc.lng >= bbox.west && loc.lng <= bbox.east;
@@ -0,0 +1,61 @@
+import { createContext } from "react";
+import en from "@/locales/en";
+import es from "@/locales/es";
+
+/**
+ * Tiny i18n layer
+ * ---------------
+ * Messages are nested objects keyed by dotted paths ("filters.title").
+ * "{name}" placeholders are filled from params; numeric params are
+ * formatted for the locale. A message may be { one, other, … } plural
+ * forms, picked by Intl.PluralRules from params.count.
+ * Missing keys fall back to English, then to the key itself.
+ */
+
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  es: { label: "Español", messages: es },
+};
+export const DEFAULT_LOCALE = "en";
+
+// First supported language from the browser preferences
+export function detectLocale() {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages ?? [navigator.language];
+  for (const lang of langs) {
+    const base = String(lang ?? "").toLowerCase().split("-")[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+const numberFormats = new Map();
+export function formatNumber(locale, n, options) {
+  const id = `${locale}|${JSON.stringify(options ?? {})}`;
+  if (!numberFormats.has(id)) numberFormats.set(id, new Intl.NumberFormat(locale, options));
+  return numberFormats.get(id).format(n);
+}
+
+// Message for `key` in `locale`, interpolated with `params`
+export function translate(locale, key, params = {}) {
+  let message = lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (message && typeof message === "object") {
+    const form = typeof params.count === "number" ? new Intl.PluralRules(locale).select(params.count) : "other";
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== "string") return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value == null) return match;
+    return typeof value === "number" ? formatNumber(locale, value) : String(value);
+  });
+}
+
+// { locale, setLocale, t, formatNumber }; see I18nProvider
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+  formatNumber: (n, options) => formatNumber(DEFAULT_LOCALE, n, options),
+});
@@ -0,0 +1,50 @@
+// Parse a user-supplied dataset into raw location documents (the same shape
+// /api/v1/locations returns), so it can go through mapLocation unchanged.
+
+// Import problem; `key` is the message key (import.errors.*) for the UI
+export class DatasetError extends Error {
+  constructor(key, message) {
+    super(message);
+    this.name = "DatasetError";
+    this.key = key;
+  }
+}
+
+// GeoJSON Feature → raw schema (our GeoJSON export keeps episodes, not scenes)
+function featureToRaw(feature) {
+  const props = feature?.properties ?? {};
+  const coords = feature?.geometry?.type === "Point" ? feature.geometry.coordinates : null;
+  const raw = { ...props, _id: props._id ?? props.id ?? feature.id };
+  if (Array.isArray(coords)) raw.geolocation = { type: "Point", coordinates: coords };
+  if (!Array.isArray(raw.scenes) && Array.isArray(props.episodes)) raw.scenes = [{ episodes: props.episodes }];
+  return raw;
+}
+
+function rowsOf(json) {
+  if (json?.type === "FeatureCollection" && Array.isArray(json.features)) return json.features.map(featureToRaw);
+  if (json?.type === "Feature") return [featureToRaw(json)];
+  if (Array.isArray(json?.content)) return json.content;
+  if (Array.isArray(json)) return json;
+  throw new DatasetError("import.errors.shape", "Expected a GeoJSON FeatureCollection or a /api/v1/locations JSON dump");
+}
+
+/**
+ * Parse file text into raw locations. Rows without an id get a stable one
+ * (`import-<n>`) so detail links and itineraries keep working.
+ */
+export function parseDataset(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new DatasetError("import.errors.notJson", "File is not valid JSON");
+  }
+  return rowsOf(json)
+    .filter((row) => row && typeof row === "object")
+    .map((row, i) => (row._id ?? row.id ? row : { ...row, _id: `import-${i + 1}` }));
+}
+
+// `loadedAt` tells apart two imports of the same file name
+export async function readDatasetFile(file) {
+  return { name: file.name, rows: parseDataset(await file.text()), loadedAt: Date.now() };
+}
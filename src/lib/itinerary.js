@@ -0,0 +1,59 @@
+import { hasCoords, haversineKm } from "@/lib/geo";
+
+// Distance of each consecutive leg; null when either end has no coordinates
+export function legDistances(stops) {
+  const legs = [];
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    legs.push(hasCoords(a) && hasCoords(b) ? haversineKm(a, b) : null);
+  }
+  return legs;
+}
+
+// Greedy tour: start at the first stop, always hop to the closest unvisited one
+function nearestNeighbor(points) {
+  const rest = points.slice(1);
+  const route = [points[0]];
+  while (rest.length) {
+    const last = route[route.length - 1];
+    let best = 0;
+    for (let i = 1; i < rest.length; i++) {
+      if (haversineKm(last, rest[i]) < haversineKm(last, rest[best])) best = i;
+    }
+    route.push(rest.splice(best, 1)[0]);
+  }
+  return route;
+}
+
+// 2-opt on an open path (no return leg). The start stop stays fixed.
+function twoOpt(route) {
+  const r = route.slice();
+  const d = (i, j) => (j < r.length ? haversineKm(r[i], r[j]) : 0);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < r.length - 1; i++) {
+      for (let k = i + 1; k < r.length; k++) {
+        const delta = d(i - 1, k) + d(i, k + 1) - d(i - 1, i) - d(k, k + 1);
+        if (delta < -1e-9) {
+          r.splice(i, k - i + 1, ...r.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return r;
+}
+
+/**
+ * Reorder stops into a short driving order (nearest-neighbor + 2-opt).
+ * The first stop is kept as the starting point; stops without coordinates
+ * are appended at the end in their current order.
+ */
+export function optimizeRoute(stops) {
+  const located = stops.filter(hasCoords);
+  const unlocated = stops.filter((s) => !hasCoords(s));
+  if (located.length < 3) return [...located, ...unlocated];
+  return [...twoOpt(nearestNeighbor(located)), ...unlocated];
+}
@@ -0,0 +1,83 @@
+import { SCENE_TEXT_KEYS, sceneText } from "@/lib/locations";
+
+// Editor form state ⇄ raw API document, plus validation.
+// Coordinates are typed as strings in the form and saved as GeoJSON [lng, lat].
+
+const splitList = (text) =>
+  String(text ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export const emptyScene = () => ({ text: "", episodes: "", raw: {} });
+
+// UI location (see mapLocation) or null → form draft
+export function toDraft(loc) {
+  return {
+    id: loc?.id ?? null,
+    name: loc?.name ?? "",
+    series: loc?.series ? [...loc.series] : [],
+    address: loc?.address ?? "",
+    city: loc?.city ?? "Albuquerque",
+    state: loc?.state ?? "NM",
+    notes: loc?.notes ?? "",
+    access: loc?.access ?? "",
+    lat: Number.isFinite(loc?.lat) ? String(loc.lat) : "",
+    lng: Number.isFinite(loc?.lng) ? String(loc.lng) : "",
+    scenes: (loc?.scenes ?? []).map((scene) => ({
+      text: sceneText(scene),
+      episodes: (Array.isArray(scene?.episodes) ? scene.episodes : []).join(", "),
+      raw: scene ?? {},
+    })),
+  };
+}
+
+// Form draft → request body in the API schema
+export function fromDraft(draft) {
+  return {
+    name: draft.name.trim(),
+    series: draft.series,
+    address: draft.address.trim(),
+    city: draft.city.trim(),
+    state: draft.state.trim(),
+    notes: draft.notes.trim(),
+    access: draft.access,
+    scenes: draft.scenes.map(({ text, episodes, raw }) => {
+      // Keep whichever text field the scene already used
+      const textKey = SCENE_TEXT_KEYS.find((k) => k in raw) ?? "description";
+      return { ...raw, [textKey]: text.trim(), episodes: splitList(episodes) };
+    }),
+    geolocation: { type: "Point", coordinates: [Number(draft.lng), Number(draft.lat)] },
+  };
+}
+
+const inRange = (text, min, max) => {
+  const n = Number(text);
+  return String(text).trim() !== "" && Number.isFinite(n) && n >= min && n <= max;
+};
+
+// Field → message key (editor.errors.*) for every problem; an empty object
+// means the draft can be saved
+export function validateDraft(draft) {
+  const errors = {};
+  if (!draft.name.trim()) errors.name = "editor.errors.nameRequired";
+  if (!draft.series.length) errors.series = "editor.errors.seriesRequired";
+  if (!draft.access) errors.access = "editor.errors.accessRequired";
+  if (draft.state.trim() && !/^[A-Za-z]{2}$/.test(draft.state.trim())) errors.state = "editor.errors.stateCode";
+  if (!inRange(draft.lat, -90, 90)) errors.lat = "editor.errors.latRange";
+  if (!inRange(draft.lng, -180, 180)) errors.lng = "editor.errors.lngRange";
+  draft.scenes.forEach((scene, i) => {
+    if (!scene.text.trim() && !splitList(scene.episodes).length) {
+      errors[`scene${i}`] = "editor.errors.sceneEmpty";
+    }
+  });
+  return errors;
+}
+
+// Draft coordinates as numbers, or null while either one is blank/invalid
+export function draftCoords(draft) {
+  const num = (v) => (String(v ?? "").trim() === "" ? NaN : Number(v));
+  const lat = num(draft?.lat);
+  const lng = num(draft?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
@@ -0,0 +1,64 @@
+// Location schema helpers: raw API documents → the UI shape used everywhere
+
+const toNumber = (v) => {
+  const n = typeof v === "string" ? parseFloat(v) : v;
+  return Number.isFinite(n) ? n : null;
+};
+
+// Known access levels → friendly (English) label; translations live under access.* in src/locales
+export const ACCESS_LABELS = {
+  public_business: "Public Business",
+  private_residence: "Private Residence",
+  private_business: "Private Business",
+  public_area: "Public Area",
+  restricted: "Restricted",
+  private_complex: "Private Complex",
+  public_land: "Public Land",
+};
+
+// Friendly label for access; pass the i18n `t` to get it in the active locale
+export const accessLabel = (a, t) => {
+  if (!a) return t ? t("access.unknown") : "Unknown";
+  if (!ACCESS_LABELS[a]) return String(a);
+  return t ? t(`access.${a}`) : ACCESS_LABELS[a];
+};
+
+// Flatten episodes list from scenes
+export const episodesFromScenes = (scenes) => {
+  const set = new Set();
+  (Array.isArray(scenes) ? scenes : []).forEach((s) => {
+    (Array.isArray(s.episodes) ? s.episodes : []).forEach((e) => set.add(String(e)));
+  });
+  return Array.from(set);
+};
+
+// Free-text part of a scene entry (the schema has used a few field names)
+export const SCENE_TEXT_KEYS = ["description", "scene", "summary", "notes"];
+export const sceneText = (scene) =>
+  String(SCENE_TEXT_KEYS.map((k) => scene?.[k]).find((v) => v != null) ?? "");
+
+// "address, city, state" with empty parts dropped
+export const formatAddress = (loc) => [loc.address, loc.city, loc.state].filter(Boolean).join(", ");
+
+// Map raw schema → UI shape
+export function mapLocation(raw) {
+  const coords = Array.isArray(raw?.geolocation?.coordinates)
+    ? raw.geolocation.coordinates
+    : [null, null];
+  const lng = toNumber(coords[0]);
+  const lat = toNumber(coords[1]);
+  return {
+    id: raw._id ?? raw.id ?? Math.random().toString(36).slice(2),
+    name: raw.name ?? "Untitled",
+    series: Array.isArray(raw.series) ? raw.series : [],
+    address: raw.address ?? "",
+    city: raw.city ?? "",
+    state: raw.state ?? "",
+    notes: raw.notes ?? "",
+    scenes: Array.isArray(raw.scenes) ? raw.scenes : [],
+    access: raw.access ?? "",
+    lat,
+    lng,
+    episodes: episodesFromScenes(raw.scenes),
+  };
+}
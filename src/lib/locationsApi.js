@@ -0,0 +1,165 @@
+/**
+ * Locations API client
+ * --------------------
+ *  - Normalizes Spring Page / plain array responses into one page shape
+ *  - Retries 5xx and network failures with exponential backoff
+ *  - Honors AbortSignal so superseded requests are cancelled, not just ignored
+ *  - Caches pages in memory, keyed by their query string (for
+ *    CACHE_TTL_MS, at most MAX_CACHED_PAGES of them), and whole-catalog
+ *    downloads the same way (at most MAX_CACHED_CATALOGS)
+ *  - With VITE_API_MOCK=true, requests go to bundled fixtures (see mockApi.js)
+ */
+
+export const API_BASE = import.meta.env.VITE_API_BASE ?? ""; // e.g., http://localhost:8080
+export const API_MOCK = import.meta.env.VITE_API_MOCK === "true";
+
+// The mock is only downloaded when mock mode is on
+const request = API_MOCK
+  ? (url, init) => import("@/lib/mockApi").then((m) => m.mockFetch(url, init))
+  : (url, init) => fetch(url, init);
+
+const LOCATIONS_URL = `${API_BASE}/api/v1/locations`;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_PAGES = 100;
+const MAX_CACHED_CATALOGS = 3;
+const ALL_PAGE_SIZE = 200;
+
+export class HttpError extends Error {
+  constructor(status) {
+    super(`HTTP ${status}`);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// Normalize Spring Page / plain array responses into one shape
+export function normalizePage(json, size) {
+  const content = Array.isArray(json?.content) ? json.content : Array.isArray(json) ? json : [];
+  return {
+    content,
+    totalPages: typeof json?.totalPages === "number" ? json.totalPages : 1,
+    page: typeof json?.page === "number" ? json.page : (typeof json?.number === "number" ? json.number : 0),
+    size: typeof json?.size === "number" ? json.size : size,
+    totalElements: typeof json?.totalElements === "number" ? json.totalElements : content.length,
+  };
+}
+
+// Slice an in-memory list into the same page shape the API returns
+export const paginate = (items, page, size) => ({
+  content: items.slice(page * size, page * size + size),
+  totalPages: Math.max(1, Math.ceil(items.length / size)),
+  page,
+  size,
+  totalElements: items.length,
+});
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const isRetryable = (e) => !(e?.name === "AbortError") && (!(e instanceof HttpError) || e.status >= 500);
+
+// GET JSON; 5xx/network errors are retried with 300ms, 600ms, 1.2s… backoff
+async function getJson(url, { signal, retries = 3, baseDelay = 300 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await request(url, { signal });
+      if (!res.ok) throw new HttpError(res.status);
+      return await res.json();
+    } catch (e) {
+      if (attempt >= retries || signal?.aborted || !isRetryable(e)) throw e;
+      await sleep(baseDelay * 2 ** attempt + Math.random() * 100, signal);
+    }
+  }
+}
+
+const pageCache = new Map(); // query string → { data, time }, oldest first
+
+const isFresh = (hit, now = Date.now()) => now - hit.time < CACHE_TTL_MS;
+
+// Store `entry` (with its `time`), dropping expired entries and then the oldest beyond `max`
+function remember(cache, key, entry, max) {
+  cache.forEach((hit, k) => !isFresh(hit, entry.time) && cache.delete(k));
+  cache.delete(key);
+  cache.set(key, entry);
+  while (cache.size > max) cache.delete(cache.keys().next().value);
+}
+
+// Cached page for `params` if still fresh (lets the UI render it instantly)
+export function peekLocationsPage(params) {
+  const key = String(params);
+  const hit = pageCache.get(key);
+  if (!hit) return null;
+  if (isFresh(hit)) return hit.data;
+  pageCache.delete(key);
+  return null;
+}
+
+// One page of /api/v1/locations, normalized
+export async function getLocationsPage(params, { signal } = {}) {
+  const key = String(params);
+  const cached = peekLocationsPage(key);
+  if (cached) return cached;
+  const size = Number(new URLSearchParams(key).get("size")) || 20;
+  const data = normalizePage(await getJson(`${LOCATIONS_URL}?${key}`, { signal }), size);
+  remember(pageCache, key, { data, time: Date.now() }, MAX_CACHED_PAGES);
+  return data;
+}
+
+export const getLocation = (id, { signal } = {}) =>
+  getJson(`${LOCATIONS_URL}/${encodeURIComponent(id)}`, { signal });
+
+// Every raw location matching `name` (all pages). The download is shared by
+// all callers, so it is not tied to any one caller's AbortSignal.
+const allCache = new Map(); // name → { promise: Promise<raw[]>, time }, oldest first
+export function getAllLocations(name = "") {
+  const hit = allCache.get(name);
+  if (hit && isFresh(hit)) return hit.promise;
+  const promise = (async () => {
+    const all = [];
+    for (let page = 0; page < 100; page++) {
+      const p = new URLSearchParams();
+      if (name) p.set("name", name);
+      p.set("page", String(page));
+      p.set("size", String(ALL_PAGE_SIZE));
+      const data = await getLocationsPage(p);
+      all.push(...data.content);
+      if (!data.content.length || page + 1 >= data.totalPages) break;
+    }
+    return all;
+  })();
+  promise.catch(() => allCache.get(name)?.promise === promise && allCache.delete(name));
+  remember(allCache, name, { promise, time: Date.now() }, MAX_CACHED_CATALOGS);
+  return promise;
+}
+
+// Drop every cached page (after the catalog changed)
+export function clearLocationsCache() {
+  pageCache.clear();
+  allCache.clear();
+}
+
+// Writes are not retried: a POST that timed out may still have landed
+async function sendJson(method, url, body) {
+  const res = await request(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw new HttpError(res.status);
+  clearLocationsCache();
+  return res.status === 204 ? null : res.json().catch(() => null);
+}
+
+export const createLocation = (body) => sendJson("POST", LOCATIONS_URL, body);
+export const updateLocation = (id, body) => sendJson("PUT", `${LOCATIONS_URL}/${encodeURIComponent(id)}`, body);
+export const deleteLocation = (id) => sendJson("DELETE", `${LOCATIONS_URL}/${encodeURIComponent(id)}`);
@@ -0,0 +1,30 @@
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import L from "leaflet";
+import MarkerPin from "@/components/MarkerPin";
+import { ACCESS_MARKERS, seriesKinds } from "@/lib/markerStyles";
+
+// Leaflet icons for location markers, rendered from MarkerPin so nothing is
+// downloaded at runtime. One icon per series mix / access level / state.
+
+const cache = new Map();
+
+// divIcon for a UI location; `active` adds the highlight glow
+export function markerIcon(loc, active = false) {
+  const kinds = seriesKinds(loc.series);
+  const access = ACCESS_MARKERS[loc.access] ? loc.access : "";
+  const id = `${kinds.join("+")}|${access}|${active}`;
+  if (!cache.has(id)) {
+    cache.set(
+      id,
+      L.divIcon({
+        className: active ? "bb-pin-icon bb-marker-active" : "bb-pin-icon",
+        html: renderToStaticMarkup(<MarkerPin kinds={kinds} access={access} />),
+        iconSize: [30, 36],
+        iconAnchor: [15, 36],
+        popupAnchor: [0, -32],
+      })
+    );
+  }
+  return cache.get(id);
+}
@@ -0,0 +1,36 @@
+import { Store, Landmark, Trees, Briefcase, House, Building2, Lock, CircleQuestionMark } from "lucide-react";
+import { SHOW_KINDS, showKind } from "@/lib/shows";
+
+// How a location pin looks: series colors for the fill, access level for the
+// corner glyph and outline. Shared by the map markers and the map legend.
+
+const KIND_ORDER = ["bb", "bcs", "ec", "other"];
+
+// Access level → corner glyph and outline ("solid" public, "dashed" private, "double" restricted)
+export const ACCESS_MARKERS = {
+  public_business: { Glyph: Store, outline: "solid" },
+  public_area: { Glyph: Landmark, outline: "solid" },
+  public_land: { Glyph: Trees, outline: "solid" },
+  private_business: { Glyph: Briefcase, outline: "dashed" },
+  private_residence: { Glyph: House, outline: "dashed" },
+  private_complex: { Glyph: Building2, outline: "dashed" },
+  restricted: { Glyph: Lock, outline: "double" },
+};
+const UNKNOWN_ACCESS = { Glyph: CircleQuestionMark, outline: "solid" };
+export const accessMarker = (access) => ACCESS_MARKERS[access] ?? UNKNOWN_ACCESS;
+
+// Series kinds of a location in display order; "other" only when nothing else matched
+export function seriesKinds(series) {
+  const kinds = new Set((series || []).map(showKind));
+  if (kinds.size > 1) kinds.delete("other");
+  if (!kinds.size) kinds.add("other");
+  return KIND_ORDER.filter((k) => kinds.has(k));
+}
+
+// Pin fill: one color, or equal diagonal bands for multi-series locations
+export function pinFill(kinds) {
+  if (kinds.length === 1) return SHOW_KINDS[kinds[0]].color;
+  const step = 100 / kinds.length;
+  const stops = kinds.map((k, i) => `${SHOW_KINDS[k].color} ${i * step}% ${(i + 1) * step}%`);
+  return `linear-gradient(135deg, ${stops.join(", ")})`;
+}
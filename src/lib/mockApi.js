@@ -0,0 +1,112 @@
+import fixtures from "@/fixtures/locations.json";
+import { inBbox, parseBbox } from "@/lib/geo";
+import { mapLocation } from "@/lib/locations";
+import { compareServerText } from "@/lib/sorting";
+
+/**
+ * In-browser stand-in for /api/v1/locations
+ * -----------------------------------------
+ * Enabled with VITE_API_MOCK=true (see locationsApi.js). Serves the bundled
+ * fixtures with the backend's `name` / `page` / `size` semantics (plus
+ * `bbox` and Spring's `sort=field,asc|desc` on name/city) and Spring Page shape; writes are kept in memory until reload.
+ *  - VITE_API_MOCK_LATENCY     delay per request in ms (default 300)
+ *  - VITE_API_MOCK_ERROR_RATE  share of requests answered with a 503, 0–1
+ */
+
+const LATENCY_MS = Number(import.meta.env.VITE_API_MOCK_LATENCY ?? 300) || 0;
+const ERROR_RATE = Math.min(1, Math.max(0, Number(import.meta.env.VITE_API_MOCK_ERROR_RATE ?? 0) || 0));
+
+let rows = fixtures.map((raw) => ({ ...raw }));
+let nextId = 1;
+
+const json = (status, body) =>
+  new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+  });
+
+// Same delay as a slow network; rejects like fetch when aborted
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("The operation was aborted.", "AbortError"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("The operation was aborted.", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+const SORTABLE = ["name", "city"];
+
+// Spring's `sort=field,dir`, on plain string fields only
+function sortRows(list, spec) {
+  const [field, dir = "asc"] = String(spec ?? "").split(",");
+  if (!SORTABLE.includes(field)) return list;
+  const sign = dir.toLowerCase() === "desc" ? -1 : 1;
+  return [...list].sort((a, b) => sign * compareServerText(a[field], b[field]));
+}
+
+// Spring Data Page<T> for a case-insensitive "name contains" query,
+// optionally limited to a "west,south,east,north" bbox and sorted
+function listPage(params) {
+  const name = (params.get("name") ?? "").trim().toLowerCase();
+  const bbox = parseBbox(params.get("bbox"));
+  const page = Math.max(0, parseInt(params.get("page") ?? "0", 10) || 0);
+  const size = Math.min(200, Math.max(1, parseInt(params.get("size") ?? "20", 10) || 20));
+  const matches = sortRows(
+    rows.filter((r) => (!name || String(r.name ?? "").toLowerCase().includes(name)) && (!bbox || inBbox(mapLocation(r), bbox))),
+    params.get("sort")
+  );
+  const content = matches.slice(page * size, page * size + size);
+  const totalPages = Math.ceil(matches.length / size);
+  return {
+    content,
+    pageable: { pageNumber: page, pageSize: size, offset: page * size, paged: true, unpaged: false },
+    totalPages,
+    totalElements: matches.length,
+    last: page + 1 >= totalPages,
+    first: page === 0,
+    number: page,
+    size,
+    numberOfElements: content.length,
+    empty: !content.length,
+  };
+}
+
+function route(method, path, params, body) {
+  const m = path.match(/\/api\/v1\/locations(?:\/([^/]+))?\/?$/);
+  if (!m) return json(404, { error: "Not Found" });
+  const id = m[1];
+  const index = id ? rows.findIndex((r) => String(r._id) === decodeURIComponent(id)) : -1;
+
+  if (!id && method === "GET") return json(200, listPage(params));
+  if (!id && method === "POST") {
+    const created = { ...body, _id: `mock-${nextId++}` };
+    rows = [...rows, created];
+    return json(201, created);
+  }
+  if (index < 0) return json(404, { error: "Not Found" });
+  if (method === "GET") return json(200, rows[index]);
+  if (method === "PUT") {
+    const updated = { ...body, _id: rows[index]._id };
+    rows = rows.map((r, i) => (i === index ? updated : r));
+    return json(200, updated);
+  }
+  if (method === "DELETE") {
+    rows = rows.filter((_, i) => i !== index);
+    return json(204);
+  }
+  return json(405, { error: "Method Not Allowed" });
+}
+
+// fetch()-compatible handler for the locations endpoints
+export async function mockFetch(url, { method = "GET", body, signal } = {}) {
+  await delay(LATENCY_MS, signal);
+  if (Math.random() < ERROR_RATE) return json(503, { error: "Simulated failure" });
+  const parsed = new URL(url, window.location.origin);
+  return route(method.toUpperCase(), parsed.pathname, parsed.searchParams, body ? JSON.parse(body) : null);
+}
@@ -0,0 +1,66 @@
+import { hasCoords, inBbox, widenBbox } from "@/lib/geo";
+
+/**
+ * Privacy policy for homes and other private places
+ * -------------------------------------------------
+ * Locations whose `access` is listed in PRIVATE_ACCESS are shown at an
+ * approximate spot (a circle of PRIVACY_RADIUS_M metres that contains the
+ * real one) without a street address. Configure with:
+ *  - VITE_PRIVATE_ACCESS     comma-separated access levels
+ *                            (default "private_residence,private_complex";
+ *                            empty turns the policy off)
+ *  - VITE_PRIVACY_RADIUS_M   circle radius in metres (default 250)
+ */
+
+const parseLevels = (text) =>
+  String(text)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export const PRIVATE_ACCESS = parseLevels(import.meta.env.VITE_PRIVATE_ACCESS ?? "private_residence,private_complex");
+export const PRIVACY_RADIUS_M = Math.max(50, Number(import.meta.env.VITE_PRIVACY_RADIUS_M ?? 250) || 250);
+
+const METERS_PER_DEG_LAT = 111_320;
+
+export const isPrivate = (loc) => PRIVATE_ACCESS.includes(loc?.access);
+
+// Stable 0–1 pseudo-random numbers from a string, so a blurred spot does not
+// move between renders (averaging many fuzzed copies would reveal the truth)
+function hashUnit(text, salt) {
+  let h = 2166136261 ^ salt;
+  for (const ch of String(text)) h = Math.imul(h ^ ch.codePointAt(0), 16777619);
+  return ((h >>> 0) % 100000) / 100000;
+}
+
+/**
+ * UI location (see mapLocation) as the public may see it. Private ones get
+ * `privacy: { radiusM }`, the circle center as lat/lng (the real point is
+ * within the radius) and no street address; everything else is unchanged.
+ */
+export function withPrivacy(loc) {
+  if (!isPrivate(loc)) return loc;
+  const blurred = { ...loc, address: "", privacy: { radiusM: PRIVACY_RADIUS_M } };
+  if (!hasCoords(loc)) return blurred;
+  const bearing = hashUnit(loc.id, 1) * 2 * Math.PI;
+  const offsetM = (0.2 + 0.6 * hashUnit(loc.id, 2)) * PRIVACY_RADIUS_M;
+  const dLat = (offsetM * Math.cos(bearing)) / METERS_PER_DEG_LAT;
+  const dLng = (offsetM * Math.sin(bearing)) / (METERS_PER_DEG_LAT * Math.cos((loc.lat * Math.PI) / 180));
+  return { ...blurred, lat: loc.lat + dLat, lng: loc.lng + dLng };
+}
+
+/**
+ * inBbox for filtering what the public sees. A private location (exact UI
+ * location, not withPrivacy output) is tested at its blurred spot against
+ * `bbox` widened by the radius, so moving a map edge across it never tells
+ * where the real point is.
+ */
+export const inPublicBbox = (loc, bbox) =>
+  isPrivate(loc) ? inBbox(withPrivacy(loc), widenBbox(bbox, PRIVACY_RADIUS_M)) : inBbox(loc, bbox);
+
+/**
+ * Bbox to send the API so its (exact-point) answer contains everything
+ * inPublicBbox accepts: a blurred spot is at most 0.8 radius from the real
+ * one, so two radii of margin. Callers filter the answer with inPublicBbox.
+ */
+export const queryBbox = (bbox) => (PRIVATE_ACCESS.length ? widenBbox(bbox, 2 * PRIVACY_RADIUS_M) : bbox);
@@ -0,0 +1,127 @@
+import Fuse from "fuse.js";
+import { mapLocation, sceneText } from "@/lib/locations";
+import { withPrivacy } from "@/lib/privacy";
+
+// Typo-tolerant, ranked search over the whole catalog. Space-separated words
+// are separate terms that must all match, each in any field ("Jesse's house"
+// finds the note "Jesse's aunt's house"). Each hit also reports the field that
+// matched best and where, so cards can highlight it.
+
+const FIELDS = [
+  { name: "name", weight: 3, label: "name" },
+  { name: "episodes", weight: 1.5, label: "episodes" },
+  { name: "sceneTexts", weight: 1.2, label: "scene notes" },
+  { name: "notes", weight: 1, label: "notes" },
+  { name: "address", weight: 1, label: "address" },
+  { name: "city", weight: 0.5, label: "city" },
+];
+const LABELS = Object.fromEntries(FIELDS.map((f) => [f.name, f.label]));
+
+// Fuse scores run 0 (exact) → 1; beyond this hits are mostly noise
+const MAX_SCORE = 0.8;
+
+// raw documents → Fuse index (hidden addresses of private places are not searchable)
+export function buildSearchIndex(rows) {
+  const docs = rows.map((raw) => {
+    const loc = withPrivacy(mapLocation(raw));
+    return {
+      raw,
+      id: loc.id,
+      name: loc.name,
+      notes: loc.notes,
+      address: loc.address,
+      city: loc.city,
+      episodes: loc.episodes,
+      sceneTexts: loc.scenes.map(sceneText).filter(Boolean),
+    };
+  });
+  return new Fuse(docs, {
+    keys: FIELDS.map(({ name, weight }) => ({ name, weight })),
+    includeScore: true,
+    includeMatches: true,
+    ignoreLocation: true,
+    threshold: 0.35,
+    minMatchCharLength: 2,
+    useExtendedSearch: true,
+  });
+}
+
+// Words of the query as plain fuzzy terms: characters that extended search
+// reads as operators (!, ^, =, leading ', trailing $, |, quotes) are dropped
+const searchTerms = (q) =>
+  q
+    .split(/\s+/)
+    .map((term) => term.replace(/["|]/g, "").replace(/^[!^=']+/, "").replace(/\$+$/, ""))
+    .filter(Boolean);
+
+// Fuse logical query: every term, in at least one field
+const termQuery = (terms) => ({
+  $and: terms.map((term) => ({ $or: FIELDS.map(({ name }) => ({ [name]: term })) })),
+});
+
+const span = (indices) => indices.reduce((n, [a, b]) => n + (b - a + 1), 0);
+
+// Sorted ranges with overlapping / adjacent ones joined
+function mergeRanges(indices) {
+  const merged = [];
+  [...indices]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([a, b]) => {
+      const last = merged[merged.length - 1];
+      if (last && a <= last[1] + 1) last[1] = Math.max(last[1], b);
+      else merged.push([a, b]);
+    });
+  return merged;
+}
+
+// Each term reports its own matches, so ranges in the same value (same field
+// and array item) are combined first; then the value covering the most
+// characters wins, ties broken by field weight order
+function bestMatch(matches = []) {
+  const order = FIELDS.map((f) => f.name);
+  const byValue = new Map();
+  matches.forEach((m) => {
+    const id = `${m.key}:${m.refIndex ?? ""}`;
+    const entry = byValue.get(id) ?? { key: m.key, value: m.value, indices: [] };
+    entry.indices.push(...m.indices.filter(([a, b]) => b - a >= 1));
+    byValue.set(id, entry);
+  });
+  const best = Array.from(byValue.values())
+    .map((m) => ({ ...m, indices: mergeRanges(m.indices) }))
+    .filter((m) => m.indices.length)
+    .sort((a, b) => span(b.indices) - span(a.indices) || order.indexOf(a.key) - order.indexOf(b.key))[0];
+  return best ? { field: best.key, label: LABELS[best.key], text: String(best.value), indices: best.indices } : null;
+}
+
+// Ranked hits: [{ raw, id, score, match: { field, label, text, indices } | null }]
+export function searchLocations(index, query) {
+  const terms = searchTerms(String(query ?? "").trim());
+  if (!terms.length) return [];
+  return index
+    .search(termQuery(terms))
+    .filter(({ score }) => score <= MAX_SCORE)
+    .map(({ item, score, matches }) => ({
+      raw: item.raw,
+      id: item.id,
+      score,
+      match: bestMatch(matches),
+    }));
+}
+
+/**
+ * Trim `text` to ~`radius` characters around the first match range and shift
+ * the ranges to fit, for one-line "matched in …" snippets.
+ */
+export function snippet(text, indices, radius = 48) {
+  if (!indices.length || text.length <= radius * 2) return { text, indices };
+  const start = Math.max(0, indices[0][0] - radius);
+  const end = Math.min(text.length, indices[0][1] + radius);
+  const prefix = start > 0 ? "…" : "";
+  const shift = start - prefix.length;
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? "…" : ""),
+    indices: indices
+      .filter(([a, b]) => a >= start && b < end)
+      .map(([a, b]) => [a - shift, b - shift]),
+  };
+}
@@ -0,0 +1,38 @@
+// Series classification shared by ShowIcon, marker clusters and anything
+// else that needs to tell Breaking Bad / Better Call Saul / El Camino apart.
+
+export const SHOW_KINDS = {
+  bb: { label: "Breaking Bad", short: "Br", color: "#10b981" },
+  bcs: { label: "Better Call Saul", short: "BCS", color: "#f59e0b" },
+  ec: { label: "El Camino", short: "EC", color: "#38bdf8" },
+  other: { label: "Other", short: "?", color: "#9fb2a7" },
+};
+
+// Map a free-form series string to one of the SHOW_KINDS keys
+export function showKind(show) {
+  const s = String(show || "").toLowerCase();
+  if (s.includes("breaking bad")) return "bb";
+  if (s.includes("better call saul")) return "bcs";
+  if (s.includes("el camino")) return "ec";
+  return "other";
+}
+
+// Initials for shows we have no dedicated icon for (e.g., “M” for Metástasis)
+export const showInitials = (show) =>
+  String(show || "?")
+    .split(/\s+/)
+    .map((w) => w[0])
+    .join("")
+    .slice(0, 3)
+    .toUpperCase();
+
+// Count of locations per show kind, e.g. { bb: 8, bcs: 3 }
+export function showMix(locations) {
+  const mix = {};
+  locations.forEach((loc) => {
+    const kinds = new Set((loc.series || []).map(showKind));
+    if (!kinds.size) kinds.add("other");
+    kinds.forEach((k) => (mix[k] = (mix[k] ?? 0) + 1));
+  });
+  return mix;
+}
@@ -0,0 +1,60 @@
+import { hasCoords, haversineKm } from "@/lib/geo";
+
+// Result orderings. `server` is the Spring Data `sort` param for the ones the
+// API can do itself; the rest are always sorted here.
+export const SORTS = {
+  name: { server: "name,asc" },
+  city: { server: "city,asc" },
+  episodes: {},
+  series: {},
+  distance: {}, // from the map center
+};
+
+export const SORT_KEYS = Object.keys(SORTS);
+
+const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+const byName = (a, b) => collator.compare(a.name, b.name);
+// Empty values sort last
+const byText = (a, b) => (!a) - (!b) || collator.compare(a, b);
+
+/**
+ * Comparator on UI locations (see mapLocation) for a SORTS key; counts run
+ * high → low, and ties fall back to the name. Distance needs `center`.
+ */
+export function sortComparator(sort, { center = null } = {}) {
+  switch (sort) {
+    case "name":
+      return byName;
+    case "city":
+      return (a, b) => byText(a.city, b.city) || byName(a, b);
+    case "episodes":
+      return (a, b) => b.episodes.length - a.episodes.length || byName(a, b);
+    case "series":
+      return (a, b) => b.series.length - a.series.length || byName(a, b);
+    case "distance": {
+      const km = (loc) => (center && hasCoords(loc) ? haversineKm(center, loc) : Infinity);
+      return (a, b) => km(a) - km(b) || byName(a, b);
+    }
+    default:
+      return () => 0;
+  }
+}
+
+// String order of Spring Data / MongoDB: binary (UTF-16 code units), so
+// missing and empty values come first
+export const compareServerText = (a, b) => {
+  const x = String(a ?? "");
+  const y = String(b ?? "");
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+/**
+ * True when raw documents follow the server's order for a SORTS key (used to
+ * spot a backend ignoring `sort`). Only the sorted field is checked: the
+ * server leaves ties in its own order, not by name as sortComparator does.
+ */
+export function isServerSorted(rows, sort) {
+  const [field, dir] = SORTS[sort].server.split(",");
+  const sign = dir === "desc" ? -1 : 1;
+  return rows.every((raw, i) => i === 0 || sign * compareServerText(rows[i - 1]?.[field], raw?.[field]) <= 0);
+}
@@ -0,0 +1,75 @@
+import { SERIES_ORDER, locationEpisodes } from "@/lib/episodes";
+import { SHOW_KINDS, showKind } from "@/lib/shows";
+
+// [{ key, value }] sorted by count (desc), then key
+const countRows = (counts) =>
+  Array.from(counts.entries())
+    .map(([key, value]) => ({ key, value }))
+    .sort((a, b) => b.value - a.value || String(a.key).localeCompare(String(b.key)));
+
+const bump = (counts, key) => counts.set(key, (counts.get(key) ?? 0) + 1);
+
+/**
+ * Catalog figures for the dashboard, from mapLocation output:
+ *  - bySeries / byAccess / byCity: [{ key, value }] location counts
+ *    ("" keys are locations without access / city)
+ *  - seasons: [{ series, seasons: [{ season, episodes }] }] distinct episodes
+ *    with at least one location; season is null for films/unparsed codes
+ *  - topLocations: [{ location, episodes }] for the `limit` locations in the
+ *    most distinct episodes (see locationEpisodes)
+ *  - exclusive: { bb, bcs, both } — only Breaking Bad, only Better Call
+ *    Saul, and shared between the two
+ */
+export function catalogStats(locations, { limit = 10 } = {}) {
+  const bySeries = new Map();
+  const byAccess = new Map();
+  const byCity = new Map();
+  const episodes = new Map(); // series → season → Set(episode key)
+  const exclusive = { bb: 0, bcs: 0, both: 0 };
+
+  locations.forEach((loc) => {
+    new Set(loc.series.map(String)).forEach((s) => bump(bySeries, s));
+    bump(byAccess, loc.access || "");
+    bump(byCity, loc.city.trim());
+
+    locationEpisodes(loc).forEach((e) => {
+      if (!episodes.has(e.series)) episodes.set(e.series, new Map());
+      const seasons = episodes.get(e.series);
+      if (!seasons.has(e.season)) seasons.set(e.season, new Set());
+      seasons.get(e.season).add(e.key);
+    });
+
+    const kinds = new Set(loc.series.map(showKind));
+    if (kinds.has("bb") && kinds.has("bcs")) exclusive.both += 1;
+    else if (kinds.size === 1 && kinds.has("bb")) exclusive.bb += 1;
+    else if (kinds.size === 1 && kinds.has("bcs")) exclusive.bcs += 1;
+  });
+
+  const seasons = Array.from(episodes.entries())
+    .sort(([a], [b]) => SERIES_ORDER.indexOf(showKind(a)) - SERIES_ORDER.indexOf(showKind(b)) || a.localeCompare(b))
+    .map(([series, bySeason]) => ({
+      series,
+      seasons: Array.from(bySeason.entries())
+        .sort(([a], [b]) => (a ?? Infinity) - (b ?? Infinity))
+        .map(([season, keys]) => ({ season, episodes: keys.size })),
+    }));
+
+  const topLocations = locations
+    .map((location) => ({ location, episodes: locationEpisodes(location).length }))
+    .filter(({ episodes }) => episodes)
+    .sort((a, b) => b.episodes - a.episodes || a.location.name.localeCompare(b.location.name))
+    .slice(0, limit);
+
+  return {
+    total: locations.length,
+    bySeries: countRows(bySeries),
+    byAccess: countRows(byAccess),
+    byCity: countRows(byCity),
+    seasons,
+    topLocations,
+    exclusive,
+  };
+}
+
+// Bar color for a series string
+export const seriesColor = (series) => SHOW_KINDS[showKind(series)].color;
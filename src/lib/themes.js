@@ -0,0 +1,110 @@
+/**
+ * Color themes
+ * ------------
+ * Each theme defines the --bb-* variables used by the component styles, the
+ * emerald/red scales behind Tailwind's `emerald-*` / `red-*` utilities (see
+ * tailwind.config.js) and the map tiles that suit it.
+ */
+
+// Tailwind default emerald scale as "r g b" triplets
+const EMERALD = {
+  50: "236 253 245", 100: "209 250 229", 200: "167 243 208", 300: "110 231 183", 400: "52 211 153",
+  500: "16 185 129", 600: "5 150 105", 700: "4 120 87", 800: "6 95 70", 900: "6 78 59", 950: "2 44 34",
+};
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+const CARTO_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+export const THEMES = {
+  dark: {
+    tiles: { url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png", attribution: CARTO_ATTRIBUTION },
+    route: "#34d399",
+    vars: {
+      bg: "#0a120d", panel: "#0c1511", "panel-2": "#0e1914", shade: "black",
+      border: "rgba(16,185,129,.28)", text: "#eafff4", muted: "#9fb2a7",
+      accent: "#10b981", "accent-2": "#34d399", "btn-text": "#042218", "btn-hover": "rgba(16,185,129,.1)",
+      "header-bg": "rgba(7,16,12,.85)",
+      "badge-bg": "#053a2c", "badge-text": "#b9f4dc", "badge-border": "#0a5c46",
+      "input-bg": "rgba(15,23,20,.9)", "input-border": "#0b3f30", placeholder: "#7aa394",
+      "map-bg": "#0b0f0d", "popup-bg": "#0b1110", "popup-border": "#134e3c", "popup-shadow": "rgba(0,0,0,.45)",
+      "chip-bg": "#0a3f30", "chip-border": "#0f6e55", "chip-text": "#eafff4",
+      "chip-muted-bg": "#0a2c24", "chip-muted-border": "#0d4c3b", "chip-muted-text": "#d4fff0",
+      "tile-bg": "#064e3b", "tile-text": "#d1fae5", "tile-border": "#0a7a5e", "pill-bg": "#052a22",
+      mark: "rgba(245,158,11,.35)",
+    },
+    emerald: EMERALD,
+    red: { 300: "252 165 165", 500: "239 68 68" },
+  },
+  light: {
+    tiles: { url: "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png", attribution: CARTO_ATTRIBUTION },
+    route: "#047857",
+    vars: {
+      bg: "#f4faf7", panel: "#ffffff", "panel-2": "#eef7f2", shade: "white",
+      border: "rgba(4,120,87,.3)", text: "#052e22", muted: "#4b6358",
+      accent: "#047857", "accent-2": "#059669", "btn-text": "#ffffff", "btn-hover": "rgba(4,120,87,.08)",
+      "header-bg": "rgba(244,250,247,.9)",
+      "badge-bg": "#d1fae5", "badge-text": "#064e3b", "badge-border": "#6ee7b7",
+      "input-bg": "#ffffff", "input-border": "#9bd3bd", placeholder: "#6b8f80",
+      "map-bg": "#e5ece8", "popup-bg": "#ffffff", "popup-border": "#a7f3d0", "popup-shadow": "rgba(0,0,0,.15)",
+      "chip-bg": "#d1fae5", "chip-border": "#6ee7b7", "chip-text": "#064e3b",
+      "chip-muted-bg": "#ecfdf5", "chip-muted-border": "#a7f3d0", "chip-muted-text": "#065f46",
+      "tile-bg": "#065f46", "tile-text": "#ecfdf5", "tile-border": "#047857", "pill-bg": "#ecfdf5",
+      mark: "rgba(245,158,11,.45)",
+    },
+    // Inverted scale: the "light" shades used for text on dark become dark
+    emerald: Object.fromEntries(SHADES.map((n, i) => [n, EMERALD[SHADES[SHADES.length - 1 - i]]])),
+    red: { 300: "185 28 28", 500: "220 38 38" },
+  },
+  contrast: {
+    tiles: {
+      url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    },
+    route: "#ff00c8",
+    vars: {
+      bg: "#000000", panel: "#000000", "panel-2": "#0a0a0a", shade: "black",
+      border: "#ffffff", text: "#ffffff", muted: "#e6e6e6",
+      accent: "#ffd400", "accent-2": "#ffe566", "btn-text": "#000000", "btn-hover": "rgba(255,212,0,.18)",
+      "header-bg": "#000000",
+      "badge-bg": "#000000", "badge-text": "#ffd400", "badge-border": "#ffd400",
+      "input-bg": "#000000", "input-border": "#ffffff", placeholder: "#bdbdbd",
+      "map-bg": "#000000", "popup-bg": "#000000", "popup-border": "#ffffff", "popup-shadow": "rgba(0,0,0,0)",
+      "chip-bg": "#000000", "chip-border": "#ffd400", "chip-text": "#ffffff",
+      "chip-muted-bg": "#000000", "chip-muted-border": "#ffffff", "chip-muted-text": "#ffffff",
+      "tile-bg": "#ffd400", "tile-text": "#000000", "tile-border": "#ffd400", "pill-bg": "#000000",
+      mark: "rgba(255,212,0,.55)",
+    },
+    emerald: {
+      50: "255 255 255", 100: "255 255 255", 200: "255 230 0", 300: "255 230 0", 400: "255 214 0",
+      500: "255 214 0", 600: "255 214 0", 700: "255 255 255", 800: "64 64 64", 900: "64 64 64", 950: "32 32 32",
+    },
+    red: { 300: "255 128 128", 500: "255 80 80" },
+  },
+};
+
+export const THEME_CHOICES = ["system", ...Object.keys(THEMES)];
+
+// Resolve "system" using the OS color-scheme / contrast preferences
+export function resolveTheme(choice) {
+  if (THEMES[choice]) return choice;
+  if (typeof window === "undefined" || !window.matchMedia) return "dark";
+  if (window.matchMedia("(prefers-contrast: more)").matches) return "contrast";
+  return window.matchMedia("(prefers-color-scheme: light)").matches ? "light" : "dark";
+}
+
+const declarations = (theme) =>
+  [
+    ...Object.entries(theme.vars).map(([k, v]) => `--bb-${k}:${v};`),
+    ...Object.entries(theme.emerald).map(([k, v]) => `--bb-emerald-${k}:${v};`),
+    ...Object.entries(theme.red).map(([k, v]) => `--bb-red-${k}:${v};`),
+  ].join("");
+
+// One rule per theme, keyed on <html data-bb-theme="…">; dark is also the
+// default, and paper always gets the light theme (html: outranks the theme rules)
+export const themeCss = () =>
+  [
+    `:root{${declarations(THEMES.dark)}}`,
+    ...Object.entries(THEMES).map(([name, theme]) => `:root[data-bb-theme="${name}"]{${declarations(theme)}}`),
+    `@media print{html:root,html:root[data-bb-theme]{${declarations(THEMES.light)}}}`,
+  ].join("\n");
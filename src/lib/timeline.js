@@ -0,0 +1,42 @@
+import { SERIES_ORDER, parseEpisode } from "@/lib/episodes";
+import { sceneText } from "@/lib/locations";
+import { showKind } from "@/lib/shows";
+
+// Scenes without a season/episode sort after the numbered ones of their series
+const LAST = Number.MAX_SAFE_INTEGER;
+
+const storyOrder = (a, b) =>
+  SERIES_ORDER.indexOf(showKind(a.series)) - SERIES_ORDER.indexOf(showKind(b.series)) ||
+  a.series.localeCompare(b.series) ||
+  (a.season ?? LAST) - (b.season ?? LAST) ||
+  (a.episode ?? LAST) - (b.episode ?? LAST);
+
+/**
+ * Every scene of every UI location (see mapLocation) in story order: series
+ * (SERIES_ORDER), then season and episode. A scene listed under several
+ * episodes sits at its earliest one; scenes without their own `series`
+ * belong to the location's first series (as in locationEpisodes).
+ * → [{ key, series, season, episode, code, episodes: [code], text, location }]
+ */
+export function buildTimeline(locations) {
+  const entries = [];
+  locations.forEach((loc) => {
+    const fallback = loc.series.length ? String(loc.series[0]) : "";
+    loc.scenes.forEach((scene, i) => {
+      const sceneSeries = scene?.series ? String(scene.series) : fallback;
+      const episodes = (Array.isArray(scene?.episodes) ? scene.episodes : []).map((e) => parseEpisode(e, sceneSeries)).sort(storyOrder);
+      const first = episodes[0] ?? { series: sceneSeries, season: null, episode: null, code: "" };
+      entries.push({
+        key: `${loc.id}:${i}`,
+        series: first.series,
+        season: first.season,
+        episode: first.episode,
+        code: first.code,
+        episodes: episodes.map((e) => e.code),
+        text: sceneText(scene),
+        location: loc,
+      });
+    });
+  });
+  return entries.sort((a, b) => storyOrder(a, b) || a.location.name.localeCompare(b.location.name));
+}
@@ -0,0 +1,48 @@
+// Shareable tour links: the stop ids, in order, packed into one `tour` query
+// param. Mongo ObjectIds (24 hex digits) shrink to 16 base64url characters;
+// any other id is stored as base64url UTF-8. Every character used survives
+// URLSearchParams unescaped, so the link stays short (and QR-friendly).
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const SEPARATOR = ".";
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const fromBase64Url = (text) => {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4)), (c) => c.charCodeAt(0));
+};
+
+function encodeId(id) {
+  const text = String(id);
+  if (OBJECT_ID.test(text)) return "o" + toBase64Url(text.match(/../g).map((h) => parseInt(h, 16)));
+  return "s" + toBase64Url(new TextEncoder().encode(text));
+}
+
+function decodeId(token) {
+  const bytes = fromBase64Url(token.slice(1));
+  if (token[0] === "o") return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  if (token[0] === "s") return new TextDecoder().decode(bytes);
+  throw new Error(`Unknown tour token "${token}"`);
+}
+
+// Ordered ids → `tour` param value
+export const encodeTour = (ids) => ids.map(encodeId).join(SEPARATOR);
+
+// `tour` param value → ordered ids; [] for anything malformed
+export function decodeTour(code) {
+  if (!code) return [];
+  try {
+    return String(code).split(SEPARATOR).filter(Boolean).map(decodeId);
+  } catch {
+    return [];
+  }
+}
+
+// Absolute link that opens the app on exactly these stops
+export function tourUrl(ids, base = window.location.href) {
+  const url = new URL("/", base);
+  url.searchParams.set("tour", encodeTour(ids));
+  return url.toString();
+}
@@ -0,0 +1,257 @@
+// English UI strings (the reference locale; see src/lib/i18n.js)
+export default {
+  app: {
+    title: "Breaking Bad & Better Call Saul Tour",
+    shown: "{count} shown",
+    total: "{count} total",
+    language: "Language",
+    theme: "Theme",
+    themes: { system: "System", dark: "Dark", light: "Light", contrast: "High contrast" },
+  },
+  common: {
+    loading: "Loading…",
+    any: "Any",
+    clear: "Clear",
+    none: "—",
+    openInMaps: "Open in Maps",
+    noCoordinates: "No coordinates",
+    details: "Details",
+    edit: "Edit",
+    add: "Add",
+    addToItinerary: "Add to itinerary",
+    inItinerary: "In itinerary",
+    away: "{distance} away",
+    more: "+{count} more",
+  },
+  access: {
+    public_business: "Public Business",
+    private_residence: "Private Residence",
+    private_business: "Private Business",
+    public_area: "Public Area",
+    restricted: "Restricted",
+    private_complex: "Private Complex",
+    public_land: "Public Land",
+    unknown: "Unknown",
+  },
+  filters: {
+    button: "Filters",
+    title: "Filter & Search",
+    searchByName: "Search by name",
+    series: "Series",
+    access: "Access",
+    progress: "Progress",
+    visited: "Visited",
+    unvisited: "Not visited",
+    favorites: "Favorites",
+    pageSize: "Page size",
+    radius: "Radius",
+    within: "· within {distance}",
+    anyDistance: "· any distance",
+    needsOrigin: "· turn on Near me",
+  },
+  import: {
+    button: "Import",
+    title: "Local dataset",
+    drop: "Drop a .geojson / .json file here, or click to pick one",
+    formats: "GeoJSON FeatureCollection or a raw /api/v1/locations response",
+    failed: "Import failed: {error}",
+    rowCount: { one: "· {count} location", other: "· {count} locations" },
+    useApi: "Use API",
+    errors: {
+      notJson: "File is not valid JSON",
+      shape: "Expected a GeoJSON FeatureCollection or a /api/v1/locations JSON dump",
+    },
+  },
+  curate: {
+    button: "Curate",
+    apiOnly: "Editing is only available against the API",
+    hint: "Create, edit and delete locations",
+    newLocation: "New location",
+  },
+  episodes: {
+    button: "Episodes",
+    title: "Episodes",
+    empty: "No episode data loaded yet.",
+    other: "Other",
+    season: "Season {season}",
+    locations: { one: "{count} location", other: "{count} locations" },
+    filmedIn: "Filmed in",
+    clearFilter: "Clear episode filter",
+  },
+  map: {
+    title: "Map",
+    youAreHere: "You are here",
+    follow: "Follow map",
+    followHint: "List the locations inside the current map view",
+  },
+  legend: {
+    title: "Legend",
+    series: "Pin color · series",
+    multiSeries: "Several series",
+    access: "Badge · access",
+    outlines: "Solid outline: public · dashed: private · red double: restricted",
+  },
+  stats: {
+    button: "Dashboard",
+    title: "Catalog statistics",
+    back: "Back to the map",
+    empty: "No locations to count yet.",
+    loadError: "Could not load the catalog: {error}",
+    bySeries: "Locations by series",
+    byAccess: "Locations by access",
+    byCity: "Locations by city",
+    noCity: "No city",
+    seasons: "Episodes with locations, per season",
+    topLocations: "Locations in the most episodes",
+    episodeCount: { one: "{count} episode", other: "{count} episodes" },
+    bbOnly: "Only in Breaking Bad",
+    bcsOnly: "Only in Better Call Saul",
+    both: "In both series",
+  },
+  privacy: {
+    approximate: "Private property, location approximate.",
+    etiquette: "Please view it from the street: don't trespass, knock or photograph the residents.",
+  },
+  sort: {
+    label: "Sort results",
+    default: "Default order",
+    options: {
+      name: "Name (A–Z)",
+      city: "City (A–Z)",
+      episodes: "Most episodes",
+      series: "Most series",
+      distance: "Nearest to map center",
+    },
+  },
+  share: {
+    button: "Share",
+    title: "Share this tour",
+    hint: { one: "Scan or open this link to load this stop.", other: "Scan or open this link to load these {count} stops, in this order." },
+    qrLabel: "QR code for the tour link",
+    tooLong: "Too many stops for a QR code: share the link instead.",
+    link: "Tour link",
+    copy: "Copy",
+    copied: "Copied",
+    touring: { one: "Shared tour · {count} stop", other: "Shared tour · {count} stops" },
+    exit: "Show all locations",
+  },
+  booklet: {
+    button: "Print",
+    back: "Back to the map",
+    print: "Print booklet",
+    fromItinerary: "Booklet of your itinerary",
+    fromResults: "Booklet of the visible results (add stops to the itinerary to choose)",
+    empty: "Nothing to print: add stops to the itinerary or load some results first.",
+  },
+  timeline: {
+    button: "Timeline",
+    title: "Scene timeline",
+    empty: "No scenes recorded yet.",
+    scenes: { one: "{count} scene", other: "{count} scenes" },
+    position: "Scene {index} of {count}",
+    play: "Play",
+    pause: "Pause",
+    previous: "Previous scene",
+    next: "Next scene",
+    noEpisode: "No episode listed",
+    showOnMap: "Show on the map",
+  },
+  results: {
+    title: "Results",
+    searchPlaceholder: "Search names, scenes, notes, addresses…",
+    nearMe: "Near me",
+    reset: "Reset",
+    locationUnavailable: "Location unavailable: {error}",
+    loadError: "Error loading locations: {error}",
+    exportName: "Breaking Bad Tour locations",
+    loadingMore: "Loading more…",
+    retry: "Retry",
+    end: { one: "All {count} result loaded", other: "All {count} results loaded" },
+    matchedIn: "Matched in {field}:",
+    fields: { name: "name", episodes: "episodes", sceneTexts: "scene notes", notes: "notes", address: "address", city: "city" },
+  },
+  detail: {
+    back: "Back to results",
+    loadError: "Error loading location: {error}",
+    notFound: "Location not found.",
+    scenes: "Scenes",
+    noScenes: "No scenes recorded.",
+  },
+  marks: {
+    favorite: "Favorite",
+    markFavorite: "Mark as favorite",
+    addFavorite: "Add to favorites",
+    removeFavorite: "Remove from favorites",
+    visited: "Visited",
+    markVisited: "Mark as visited",
+    markUnvisited: "Mark as not visited",
+    progress: "{done} of {total} {series} spots visited",
+  },
+  itinerary: {
+    title: "Itinerary",
+    stops: { one: "{count} stop", other: "{count} stops" },
+    optimize: "Optimize order",
+    exportName: "Breaking Bad Tour itinerary",
+    empty: "Add stops from the results list or a map popup to start planning a tour.",
+    noCoordinates: "no coordinates",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    remove: "Remove {name}",
+  },
+  export: {
+    label: "Export",
+  },
+  editor: {
+    editTitle: "Edit location",
+    newTitle: "New location",
+    close: "Close editor",
+    name: "Name",
+    series: "Series",
+    address: "Address",
+    city: "City",
+    state: "State",
+    access: "Access",
+    choose: "Choose…",
+    coordinates: "Coordinates · click the map or drag the pin",
+    latitude: "Latitude",
+    longitude: "Longitude",
+    notes: "Notes",
+    scenes: "Scenes",
+    addScene: "Add scene",
+    sceneText: "What happens here",
+    sceneTextLabel: "Scene {n} description",
+    sceneEpisodes: "Episodes, comma separated (e.g. S05E14, S02E03)",
+    sceneEpisodesLabel: "Scene {n} episodes",
+    removeScene: "Remove scene {n}",
+    saveFailed: "Save failed: {error}",
+    save: "Save changes",
+    create: "Create location",
+    cancel: "Cancel",
+    delete: "Delete",
+    confirmDelete: "Delete “{name}”? This cannot be undone.",
+    thisLocation: "this location",
+    errors: {
+      nameRequired: "Name is required",
+      seriesRequired: "Pick at least one series",
+      accessRequired: "Access level is required",
+      stateCode: "Use a 2-letter state code",
+      latRange: "Latitude must be between -90 and 90",
+      lngRange: "Longitude must be between -180 and 180",
+      sceneEmpty: "Describe the scene or list its episodes",
+    },
+  },
+  geo: {
+    unsupported: "Geolocation is not supported by this browser",
+    denied: "Permission to use your location was denied",
+    unavailable: "Unable to get your location",
+    timeout: "Timed out while getting your location",
+  },
+  footer: {
+    localData: "Data from local file",
+    localCount: { one: "({count} location).", other: "({count} locations)." },
+    apiData: "Data from your API at",
+    mockData: "Mock API (VITE_API_MOCK) serving",
+    schema: "Schema:",
+    schemaNote: "(GeoJSON [lng, lat]).",
+  },
+};
@@ -0,0 +1,257 @@
+// Spanish UI strings (keys mirror src/locales/en.js)
+export default {
+  app: {
+    title: "Ruta de Breaking Bad y Better Call Saul",
+    shown: "{count} visibles",
+    total: "{count} en total",
+    language: "Idioma",
+    theme: "Tema",
+    themes: { system: "Sistema", dark: "Oscuro", light: "Claro", contrast: "Alto contraste" },
+  },
+  common: {
+    loading: "Cargando…",
+    any: "Cualquiera",
+    clear: "Borrar",
+    none: "—",
+    openInMaps: "Abrir en Mapas",
+    noCoordinates: "Sin coordenadas",
+    details: "Detalles",
+    edit: "Editar",
+    add: "Añadir",
+    addToItinerary: "Añadir al itinerario",
+    inItinerary: "En el itinerario",
+    away: "a {distance}",
+    more: "+{count} más",
+  },
+  access: {
+    public_business: "Negocio público",
+    private_residence: "Residencia privada",
+    private_business: "Negocio privado",
+    public_area: "Zona pública",
+    restricted: "Acceso restringido",
+    private_complex: "Complejo privado",
+    public_land: "Terreno público",
+    unknown: "Desconocido",
+  },
+  filters: {
+    button: "Filtros",
+    title: "Filtrar y buscar",
+    searchByName: "Buscar por nombre",
+    series: "Serie",
+    access: "Acceso",
+    progress: "Progreso",
+    visited: "Visitados",
+    unvisited: "No visitados",
+    favorites: "Favoritos",
+    pageSize: "Resultados por página",
+    radius: "Radio",
+    within: "· hasta {distance}",
+    anyDistance: "· cualquier distancia",
+    needsOrigin: "· activa Cerca de mí",
+  },
+  import: {
+    button: "Importar",
+    title: "Datos locales",
+    drop: "Suelta aquí un archivo .geojson / .json, o haz clic para elegirlo",
+    formats: "GeoJSON FeatureCollection o una respuesta de /api/v1/locations",
+    failed: "Error al importar: {error}",
+    rowCount: { one: "· {count} lugar", other: "· {count} lugares" },
+    useApi: "Usar la API",
+    errors: {
+      notJson: "El archivo no es un JSON válido",
+      shape: "Se esperaba una GeoJSON FeatureCollection o un volcado JSON de /api/v1/locations",
+    },
+  },
+  curate: {
+    button: "Editar datos",
+    apiOnly: "La edición solo está disponible con la API",
+    hint: "Crear, editar y eliminar lugares",
+    newLocation: "Nuevo lugar",
+  },
+  episodes: {
+    button: "Episodios",
+    title: "Episodios",
+    empty: "Aún no hay datos de episodios.",
+    other: "Otros",
+    season: "Temporada {season}",
+    locations: { one: "{count} lugar", other: "{count} lugares" },
+    filmedIn: "Rodado en",
+    clearFilter: "Quitar filtro de episodio",
+  },
+  map: {
+    title: "Mapa",
+    youAreHere: "Estás aquí",
+    follow: "Seguir el mapa",
+    followHint: "Mostrar los lugares dentro de la vista actual del mapa",
+  },
+  legend: {
+    title: "Leyenda",
+    series: "Color del marcador · serie",
+    multiSeries: "Varias series",
+    access: "Insignia · acceso",
+    outlines: "Borde continuo: público · discontinuo: privado · doble rojo: restringido",
+  },
+  stats: {
+    button: "Panel",
+    title: "Estadísticas del catálogo",
+    back: "Volver al mapa",
+    empty: "Todavía no hay lugares que contar.",
+    loadError: "No se pudo cargar el catálogo: {error}",
+    bySeries: "Lugares por serie",
+    byAccess: "Lugares por acceso",
+    byCity: "Lugares por ciudad",
+    noCity: "Sin ciudad",
+    seasons: "Episodios con lugares, por temporada",
+    topLocations: "Lugares en más episodios",
+    episodeCount: { one: "{count} episodio", other: "{count} episodios" },
+    bbOnly: "Solo en Breaking Bad",
+    bcsOnly: "Solo en Better Call Saul",
+    both: "En ambas series",
+  },
+  privacy: {
+    approximate: "Propiedad privada, ubicación aproximada.",
+    etiquette: "Mírala desde la calle: no entres, no llames a la puerta ni fotografíes a quienes viven allí.",
+  },
+  sort: {
+    label: "Ordenar resultados",
+    default: "Orden predeterminado",
+    options: {
+      name: "Nombre (A–Z)",
+      city: "Ciudad (A–Z)",
+      episodes: "Más episodios",
+      series: "Más series",
+      distance: "Más cerca del centro del mapa",
+    },
+  },
+  share: {
+    button: "Compartir",
+    title: "Compartir esta ruta",
+    hint: { one: "Escanea o abre este enlace para cargar esta parada.", other: "Escanea o abre este enlace para cargar estas {count} paradas, en este orden." },
+    qrLabel: "Código QR del enlace de la ruta",
+    tooLong: "Demasiadas paradas para un código QR: comparte el enlace.",
+    link: "Enlace de la ruta",
+    copy: "Copiar",
+    copied: "Copiado",
+    touring: { one: "Ruta compartida · {count} parada", other: "Ruta compartida · {count} paradas" },
+    exit: "Ver todos los lugares",
+  },
+  booklet: {
+    button: "Imprimir",
+    back: "Volver al mapa",
+    print: "Imprimir folleto",
+    fromItinerary: "Folleto de tu itinerario",
+    fromResults: "Folleto de los resultados visibles (añade paradas al itinerario para elegir)",
+    empty: "No hay nada que imprimir: añade paradas al itinerario o carga resultados primero.",
+  },
+  timeline: {
+    button: "Cronología",
+    title: "Cronología de escenas",
+    empty: "Aún no hay escenas registradas.",
+    scenes: { one: "{count} escena", other: "{count} escenas" },
+    position: "Escena {index} de {count}",
+    play: "Reproducir",
+    pause: "Pausa",
+    previous: "Escena anterior",
+    next: "Escena siguiente",
+    noEpisode: "Sin episodio indicado",
+    showOnMap: "Ver en el mapa",
+  },
+  results: {
+    title: "Resultados",
+    searchPlaceholder: "Busca nombres, escenas, notas, direcciones…",
+    nearMe: "Cerca de mí",
+    reset: "Restablecer",
+    locationUnavailable: "Ubicación no disponible: {error}",
+    loadError: "Error al cargar los lugares: {error}",
+    exportName: "Lugares de la ruta de Breaking Bad",
+    loadingMore: "Cargando más…",
+    retry: "Reintentar",
+    end: { one: "Se cargó {count} resultado", other: "Se cargaron los {count} resultados" },
+    matchedIn: "Coincide en {field}:",
+    fields: { name: "nombre", episodes: "episodios", sceneTexts: "notas de escena", notes: "notas", address: "dirección", city: "ciudad" },
+  },
+  detail: {
+    back: "Volver a los resultados",
+    loadError: "Error al cargar el lugar: {error}",
+    notFound: "No se encontró el lugar.",
+    scenes: "Escenas",
+    noScenes: "No hay escenas registradas.",
+  },
+  marks: {
+    favorite: "Favorito",
+    markFavorite: "Marcar como favorito",
+    addFavorite: "Añadir a favoritos",
+    removeFavorite: "Quitar de favoritos",
+    visited: "Visitado",
+    markVisited: "Marcar como visitado",
+    markUnvisited: "Marcar como no visitado",
+    progress: "{done} de {total} lugares de {series} visitados",
+  },
+  itinerary: {
+    title: "Itinerario",
+    stops: { one: "{count} parada", other: "{count} paradas" },
+    optimize: "Optimizar orden",
+    exportName: "Itinerario de la ruta de Breaking Bad",
+    empty: "Añade paradas desde la lista de resultados o desde el mapa para planear una ruta.",
+    noCoordinates: "sin coordenadas",
+    moveUp: "Subir",
+    moveDown: "Bajar",
+    remove: "Quitar {name}",
+  },
+  export: {
+    label: "Exportar",
+  },
+  editor: {
+    editTitle: "Editar lugar",
+    newTitle: "Nuevo lugar",
+    close: "Cerrar editor",
+    name: "Nombre",
+    series: "Serie",
+    address: "Dirección",
+    city: "Ciudad",
+    state: "Estado",
+    access: "Acceso",
+    choose: "Elegir…",
+    coordinates: "Coordenadas · haz clic en el mapa o arrastra el marcador",
+    latitude: "Latitud",
+    longitude: "Longitud",
+    notes: "Notas",
+    scenes: "Escenas",
+    addScene: "Añadir escena",
+    sceneText: "Qué ocurre aquí",
+    sceneTextLabel: "Descripción de la escena {n}",
+    sceneEpisodes: "Episodios separados por comas (p. ej. S05E14, S02E03)",
+    sceneEpisodesLabel: "Episodios de la escena {n}",
+    removeScene: "Quitar escena {n}",
+    saveFailed: "No se pudo guardar: {error}",
+    save: "Guardar cambios",
+    create: "Crear lugar",
+    cancel: "Cancelar",
+    delete: "Eliminar",
+    confirmDelete: "¿Eliminar «{name}»? No se puede deshacer.",
+    thisLocation: "este lugar",
+    errors: {
+      nameRequired: "El nombre es obligatorio",
+      seriesRequired: "Elige al menos una serie",
+      accessRequired: "El nivel de acceso es obligatorio",
+      stateCode: "Usa un código de estado de 2 letras",
+      latRange: "La latitud debe estar entre -90 y 90",
+      lngRange: "La longitud debe estar entre -180 y 180",
+      sceneEmpty: "Describe la escena o indica sus episodios",
+    },
+  },
+  geo: {
+    unsupported: "Este navegador no admite geolocalización",
+    denied: "Se denegó el permiso para usar tu ubicación",
+    unavailable: "No se pudo obtener tu ubicación",
+    timeout: "Se agotó el tiempo al obtener tu ubicación",
+  },
+  footer: {
+    localData: "Datos del archivo local",
+    localCount: { one: "({count} lugar).", other: "({count} lugares)." },
+    apiData: "Datos de tu API en",
+    mockData: "API simulada (VITE_API_MOCK) con los datos de",
+    schema: "Esquema:",
+    schemaNote: "(GeoJSON [lng, lat]).",
+  },
+};
@@ -10,6 +10,14 @@ export default {
   			sm: 'calc(var(--radius) - 4px)'
   		},
   		colors: {
+  			// Themed scales: values come from --bb-emerald-* / --bb-red-* (src/lib/themes.js)
+  			emerald: Object.fromEntries(
+  				[50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map((n) => [n, `rgb(var(--bb-emerald-${n}) / <alpha-value>)`])
+  			),
+  			red: {
+  				300: 'rgb(var(--bb-red-300) / <alpha-value>)',
+  				500: 'rgb(var(--bb-red-500) / <alpha-value>)'
+  			},
   			background: 'hsl(var(--background))',
   			foreground: 'hsl(var(--foreground))',
   			card: {